@@ -0,0 +1,115 @@
+/**
+ * Lazily creates InlineEdit instances for any element within a root that
+ * matches a selector. (including elements that are added later)
+ *
+ * @author Dominic Barnes <dominic@dbarnes.info>
+ */
+
+"use strict";
+
+// dependencies
+var events = require("events");
+
+// single export
+module.exports = Delegate;
+
+/**
+ * Listens for the activation of any element matching `selector` within the
+ * `root`. (via click, or Enter/Space for focusable elements) The first time
+ * an element is activated, `create(el)` is used to make it's instance, which
+ * then starts editing right away.
+ *
+ * @constructor
+ * @param {HTMLElement|String} root
+ * @param {String} selector
+ * @param {Function} create
+ */
+function Delegate(root, selector, create) {
+    if (!(this instanceof Delegate)) {
+        return new Delegate(root, selector, create);
+    }
+    if (typeof root === "string") root = document.querySelector(root);
+
+    this.root = root;
+    this.selector = selector;
+    this.create = create;
+    this.instances = [];
+
+    this.events = events(root, this);
+    this.events.bind("click " + selector, "activate");
+    this.events.bind("keydown " + selector, "onkeydown");
+}
+
+/**
+ * Retrieves the instance that was created for `el`. (if any)
+ *
+ * @param {HTMLElement} el
+ * @returns {InlineEdit|null}
+ */
+Delegate.prototype.find = function (el) {
+    var list = this.instances.filter(function (instance) {
+        return instance.element === el;
+    });
+
+    return list[0] || null;
+};
+
+/**
+ * Stops tracking an instance. (this happens automatically when an instance is
+ * destroyed, so the element can get a new one when activated again)
+ *
+ * @param {InlineEdit} instance
+ * @returns {Delegate}
+ */
+Delegate.prototype.remove = function (instance) {
+    var x = this.instances.indexOf(instance);
+    if (x > -1) this.instances.splice(x, 1);
+    return this;
+};
+
+/**
+ * Creates the instance for the activated element and starts editing. Once
+ * created, the instance handles it's own events so later activations are
+ * ignored here.
+ *
+ * @param {Event} e
+ */
+Delegate.prototype.activate = function (e) {
+    var self = this;
+    var el = e.delegateTarget;
+    if (this.find(el)) return;
+
+    e.preventDefault();
+
+    var instance = this.create(el);
+    this.instances.push(instance);
+
+    instance.on("destroy", function () {
+        self.remove(instance);
+    });
+
+    instance.handle("click");
+};
+
+/**
+ * Allows keyboard activation via Enter or Space.
+ *
+ * @param {KeyboardEvent} e
+ */
+Delegate.prototype.onkeydown = function (e) {
+    if (e.keyCode === 13 || e.keyCode === 32) this.activate(e);
+};
+
+/**
+ * Stops listening on the root and destroys every instance created so far.
+ */
+Delegate.prototype.destroy = function () {
+    this.events.unbind();
+
+    // destroying an instance also removes it from the list
+    this.instances.slice().forEach(function (instance) {
+        instance.destroy();
+    });
+
+    this.instances = [];
+};
@@ -0,0 +1,315 @@
+/**
+ * Helpers for multi-field editing (see InlineEdit.Fields) where the value is
+ * an object that maps to named inputs in the form and `[data-field]` elements
+ * within the content element.
+ *
+ * Names can describe nested objects (eg: "address[city]") as well as lists
+ * (eg: "tags[]") using the same conventions as a regular form submission.
+ *
+ * @author Dominic Barnes <dominic@dbarnes.info>
+ */
+
+"use strict";
+
+// dependencies
+var text = require("text");
+var trim = require("trim");
+var type = require("type");
+
+// inputs that do not hold a value of their own
+var ignored = /^(submit|button|reset|image|file|fieldset)$/;
+
+/**
+ * Collects the values of the named fields in the form into an object.
+ *
+ * Checkboxes become booleans, unless there are several sharing a name (or
+ * the name ends with "[]") in which case they become a list of the checked
+ * values, just like a multiple <select>.
+ *
+ * @param {HTMLFormElement} form
+ * @returns {Object}
+ */
+exports.serialize = function (form) {
+    var data = {};
+
+    each(form.elements, function (el) {
+        if (!isField(el)) return;
+
+        var name = parse(el.name);
+
+        if (name.list || isGroup(el, form)) {
+            var list = get(data, name.path) || set(data, name.path, []);
+            list.push.apply(list, values(el));
+        } else if (el.type !== "radio" || el.checked) {
+            set(data, name.path, value(el));
+        }
+    });
+
+    return data;
+};
+
+/**
+ * Sets the named fields in the form to the corresponding values in `data`.
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} data
+ */
+exports.populate = function (form, data) {
+    each(form.elements, function (el) {
+        if (isField(el)) write(el, read(el, data, form));
+    });
+};
+
+/**
+ * Determines if `a` and `b` would leave the named fields in the form in the
+ * same state. This way the text parsed from the content element compares
+ * equal to the untouched form. (eg: "true" and true for a checkbox)
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Boolean}
+ */
+exports.equal = function (form, a, b) {
+    return [].every.call(form.elements, function (el) {
+        if (!isField(el)) return true;
+        return String(read(el, a, form)) === String(read(el, b, form));
+    });
+};
+
+/**
+ * Finds the first named field in the form. (where focus belongs)
+ *
+ * @param {HTMLFormElement} form
+ * @returns {HTMLElement|null}
+ */
+exports.first = function (form) {
+    return [].filter.call(form.elements, isField)[0] || null;
+};
+
+/**
+ * Reads the text of each `[data-field]` element within `el` into an object.
+ * (text matching the placeholder becomes null)
+ *
+ * @param {HTMLElement} el
+ * @param {String} [placeholder]
+ * @returns {Object}
+ */
+exports.parse = function (el, placeholder) {
+    var data = {};
+
+    each(el.querySelectorAll("[data-field]"), function (field) {
+        var val = trim(text(field));
+        if (placeholder && val === placeholder) val = null;
+        set(data, parse(field.getAttribute("data-field")).path, val);
+    });
+
+    return data;
+};
+
+/**
+ * Renders the values from `data` into each `[data-field]` element within
+ * `el`. (lists are joined by commas, empty values use the placeholder)
+ *
+ * @param {Object} data
+ * @param {HTMLElement} el
+ * @param {String} [placeholder]
+ */
+exports.format = function (data, el, placeholder) {
+    each(el.querySelectorAll("[data-field]"), function (field) {
+        var val = get(data || {}, parse(field.getAttribute("data-field")).path);
+        var out = trim(type(val) === "array" ? val.join(", ") : str(val));
+        if (placeholder && !out) out = placeholder;
+        text(field, out);
+    });
+};
+
+
+// private helpers
+
+/**
+ * Runs `fn` for each item in an array-like object.
+ *
+ * @param {Array|NodeList} list
+ * @param {Function} fn
+ */
+function each(list, fn) {
+    for (var x = 0; x < list.length; x++) fn(list[x], x);
+}
+
+/**
+ * Parses a field name into it's path, and whether it describes a list.
+ * (eg: "a[b][]" becomes `{ path: [ "a", "b" ], list: true }`)
+ *
+ * @param {String} name
+ * @returns {Object}
+ */
+function parse(name) {
+    var path = name.replace(/\]/g, "").split("[");
+    var list = path[path.length - 1] === "";
+    if (list) path.pop();
+
+    return { path: path, list: list };
+}
+
+/**
+ * Retrieves the value at `path` within `obj`.
+ *
+ * @param {Object} obj
+ * @param {Array} path
+ * @returns {Mixed}
+ */
+function get(obj, path) {
+    return path.reduce(function (acc, key) {
+        return acc === null || typeof acc === "undefined" ? acc : acc[key];
+    }, obj);
+}
+
+/**
+ * Sets the value at `path` within `obj`, creating objects along the way.
+ *
+ * @param {Object} obj
+ * @param {Array} path
+ * @param {Mixed} val
+ * @returns {Mixed}
+ */
+function set(obj, path, val) {
+    var last = path.length - 1;
+
+    path.slice(0, last).forEach(function (key) {
+        if (type(obj[key]) !== "object") obj[key] = {};
+        obj = obj[key];
+    });
+
+    obj[path[last]] = val;
+    return val;
+}
+
+/**
+ * Determines if the element is a named field that holds a value.
+ *
+ * @param {HTMLElement} el
+ * @returns {Boolean}
+ */
+function isField(el) {
+    return !!el.name && !el.disabled && !ignored.test(el.type);
+}
+
+/**
+ * Determines if the element is a multiple <select> or a checkbox that
+ * shares it's name with others.
+ *
+ * @param {HTMLElement} el
+ * @param {HTMLFormElement} form
+ * @returns {Boolean}
+ */
+function isGroup(el, form) {
+    if (el.type === "select-multiple") return true;
+    if (el.type !== "checkbox") return false;
+    return form.querySelectorAll("[name=\"" + el.name + "\"]").length > 1;
+}
+
+/**
+ * Reads the value of a single field.
+ *
+ * @param {HTMLElement} el
+ * @returns {Mixed}
+ */
+function value(el) {
+    return el.type === "checkbox" ? el.checked : el.value;
+}
+
+/**
+ * Reads the values contributed to a list by a single field.
+ *
+ * @param {HTMLElement} el
+ * @returns {Array}
+ */
+function values(el) {
+    if (el.type === "select-multiple") {
+        return [].filter.call(el.options, function (option) {
+            return option.selected;
+        }).map(function (option) {
+            return option.value;
+        });
+    }
+
+    if (el.type === "checkbox" || el.type === "radio") {
+        return el.checked ? [ el.value ] : [];
+    }
+
+    return [ el.value ];
+}
+
+/**
+ * Finds the state a single field should have to reflect the matching value
+ * in `data`: whether it is checked, which options are selected, or the text.
+ *
+ * @param {HTMLElement} el
+ * @param {Object} data
+ * @param {HTMLFormElement} form
+ * @returns {Boolean|Array|String}
+ */
+function read(el, data, form) {
+    var val = get(data || {}, parse(el.name).path);
+    var list = listOf(el, val, form);
+
+    switch (el.type) {
+    case "checkbox":
+        return list ? list.indexOf(el.value) > -1 : !!val && val !== "false";
+
+    case "radio":
+        return str(val) === el.value;
+
+    case "select-multiple":
+        return [].map.call(el.options, function (option) {
+            return !!list && list.indexOf(option.value) > -1;
+        });
+
+    default:
+        return list ? list.join(", ") : str(val);
+    }
+}
+
+/**
+ * Reads `val` as a list of strings, if it is one. For fields that contribute
+ * to a list, text (as rendered by `format`) is split on commas again.
+ *
+ * @param {HTMLElement} el
+ * @param {Mixed} val
+ * @param {HTMLFormElement} form
+ * @returns {Array|null}
+ */
+function listOf(el, val, form) {
+    var group = parse(el.name).list || isGroup(el, form);
+    if (group && type(val) === "string") val = trim(val).split(/\s*,\s*/);
+    return type(val) === "array" ? val.map(str) : null;
+}
+
+/**
+ * Sets a single field to the state found by `read`.
+ *
+ * @param {HTMLElement} el
+ * @param {Boolean|Array|String} state
+ */
+function write(el, state) {
+    if (el.type === "select-multiple") {
+        each(el.options, function (option, x) {
+            option.selected = state[x];
+        });
+    } else if (el.type === "checkbox" || el.type === "radio") {
+        el.checked = state;
+    } else {
+        el.value = state;
+    }
+}
+
+/**
+ * Converts any value to a string. (null and undefined become empty)
+ *
+ * @param {Mixed} val
+ * @returns {String}
+ */
+function str(val) {
+    return val === null || typeof val === "undefined" ? "" : String(val);
+}
@@ -0,0 +1,129 @@
+/**
+ * Coordinates a set of InlineEdit instances, making sure that only 1 of them
+ * is being edited at a time.
+ *
+ * @author Dominic Barnes <dominic@dbarnes.info>
+ */
+
+"use strict";
+
+// single export
+module.exports = Group;
+
+/**
+ * Whenever an instance in the group starts editing, any other instance that
+ * is still editing (or resolving a conflict, which also has the form open)
+ * will be handled according to `options.policy`:
+ *
+ *  - "cancel" discards the other edit (default)
+ *  - "submit" submits the other edit
+ *
+ * @constructor
+ * @param {Object} [options]
+ */
+function Group(options) {
+    if (!(this instanceof Group)) return new Group(options);
+    if (!options) options = {};
+
+    this.policy = options.policy || "cancel";
+    this.instances = [];
+    this.listeners = [];
+}
+
+/**
+ * Adds an instance to the group. (adding the same instance more than once
+ * has no effect)
+ *
+ * @param {InlineEdit} instance
+ * @returns {Group}
+ */
+Group.prototype.add = function (instance) {
+    var self = this;
+    if (this.has(instance)) return this;
+
+    this.instances.push(instance);
+    this.listeners.push(instance.on("transition", function (data) {
+        if (isOpen(data.toState)) self.release(instance);
+    }));
+
+    return this;
+};
+
+/**
+ * Removes an instance from the group.
+ *
+ * @param {InlineEdit} instance
+ * @returns {Group}
+ */
+Group.prototype.remove = function (instance) {
+    var x = this.instances.indexOf(instance);
+    if (x === -1) return this;
+
+    this.listeners[x].off();
+    this.instances.splice(x, 1);
+    this.listeners.splice(x, 1);
+
+    return this;
+};
+
+/**
+ * Determines if the instance is part of this group.
+ *
+ * @param {InlineEdit} instance
+ * @returns {Boolean}
+ */
+Group.prototype.has = function (instance) {
+    return this.instances.indexOf(instance) > -1;
+};
+
+/**
+ * Retrieves the instance that is currently being edited, or resolving a
+ * conflict. (if any)
+ *
+ * @returns {InlineEdit|null}
+ */
+Group.prototype.active = function () {
+    var list = this.instances.filter(function (instance) {
+        return isOpen(instance.state);
+    });
+
+    return list[0] || null;
+};
+
+/**
+ * Applies the policy to every instance (other than `active`) that is still
+ * being edited.
+ *
+ * @param {InlineEdit} active
+ */
+Group.prototype.release = function (active) {
+    var policy = this.policy;
+
+    this.instances.slice().forEach(function (instance) {
+        if (instance === active || !isOpen(instance.state)) return;
+        instance.handle(policy);
+    });
+};
+
+/**
+ * Destroys every instance in the group. (which also removes them)
+ */
+Group.prototype.destroyAll = function () {
+    this.instances.slice().forEach(function (instance) {
+        instance.destroy();
+        this.remove(instance);
+    }, this);
+};
+
+
+// private helpers
+
+/**
+ * Determines if the state is one where the form is open.
+ *
+ * @param {String} state
+ * @returns {Boolean}
+ */
+function isOpen(state) {
+    return state === "editing" || state === "conflict";
+}
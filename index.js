@@ -17,17 +17,77 @@
 // dependencies
 var classes = require("classes");
 var domify = require("domify");
-var empty = require("empty");
 var events = require("events");
 var machina = require("machina.js");
 var text = require("text");
 var trim = require("trim");
 var type = require("type");
 var wrap = require("wrap");
+var Delegate = require("./delegate");
+var Group = require("./group");
+var Queue = require("./queue");
 
+// key codes used for keyboard control
+var keys = {
+    enter: 13,
+    escape: 27,
+    space: 32,
+    y: 89,
+    z: 90
+};
+
+// used to generate unique ids
+var uid = 0;
+
+// the events after which an instance may have settled (see whenSettled)
+var settles = { transition: true, handled: true };
+
+// the options that can be set via data-* attributes, and the type that the
+// attribute's value is converted to (see dataOptions)
+var attributeOptions = {
+    placeholder: "string",
+    blurAction: "string",
+    name: "string",
+    version: "string",
+    disabled: "boolean",
+    optimistic: "boolean",
+    reopenOnError: "boolean",
+    abortState: "string",
+    submitTimeout: "number",
+    retryAttempts: "number",
+    retryDelay: "number",
+    renderStrategy: "string",
+    historySize: "number",
+    checkedLabel: "string",
+    uncheckedLabel: "string"
+};
+
+// the default text for the built-in interface (see InlineEdit.setMessages)
+var messages = {
+    hint: "Press Enter to edit",
+    form: "Edit",
+    cancel: "Cancel",
+    submit: "Submit",
+    saving: "Saving\u2026",
+    saved: "Saved",
+    timeout: "submit timed out after {ms}ms",
+    yes: "Yes",
+    no: "No",
+    conflict: "Someone else has changed this value.",
+    keep: "Keep mine",
+    take: "Use theirs",
+    merge: "Merge",
+    bold: "Bold",
+    italic: "Italic",
+    link: "Link",
+    list: "Bulleted list",
+    linkPrompt: "Link address",
+    preview: "Preview",
+    input: "Value"
+};
 
 // single export
-module.exports = machina.Fsm.extend({
+var InlineEdit = module.exports = machina.Fsm.extend({
     // configuration properties
 
     /**
@@ -41,6 +101,158 @@ module.exports = machina.Fsm.extend({
      */
     placeholder: null,
 
+    /**
+     * Determines what happens when the user moves their focus away from the
+     * form while editing:
+     *
+     *  - "submit" the form (eg: for spreadsheet-like interfaces)
+     *  - "cancel" the edit
+     *  - "none" will leave the form open (default)
+     *
+     * Moving focus between elements within the form is ignored.
+     *
+     * @property {String}
+     */
+    blurAction: "none",
+
+    /**
+     * If set, the number of milliseconds to wait for submitForm to complete.
+     * When it runs out, the request is aborted and treated as an error.
+     *
+     * @property {Number}
+     */
+    submitTimeout: null,
+
+    /**
+     * The number of times to retry a failed submission (see isRetryable)
+     * before giving up. The user stays in the "saving" state in the meantime.
+     *
+     * @property {Number}
+     */
+    retryAttempts: 0,
+
+    /**
+     * The number of milliseconds to wait before the first retry, which
+     * doubles for each retry after that.
+     *
+     * @property {Number}
+     */
+    retryDelay: 1000,
+
+    /**
+     * When enabled, the new value is rendered into the content element right
+     * away while submitForm runs in the background. (rather than displaying
+     * the spinner) On failure, the previous value is restored.
+     *
+     * @property {Boolean}
+     */
+    optimistic: false,
+
+    /**
+     * When enabled alongside optimistic, a failed submission will reopen the
+     * form with the rejected input kept, rather than returning to "ready".
+     *
+     * @property {Boolean}
+     */
+    reopenOnError: false,
+
+    /**
+     * The state to return to when the user cancels while saving. Either
+     * "editing" (the default, keeping the user's input) or "ready".
+     *
+     * @property {String}
+     */
+    abortState: "editing",
+
+    /**
+     * When true, editing is not allowed. (see disable/enable) This can also be
+     * a function, which is checked each time the user tries to edit.
+     *
+     * @property {Boolean|Function}
+     */
+    disabled: false,
+
+    /**
+     * If provided, this instance will join the group. (see InlineEdit.group)
+     *
+     * @property {Group}
+     */
+    group: null,
+
+    /**
+     * If provided, saves made while offline are added to the queue instead
+     * of being submitted right away. (see InlineEdit.queue)
+     *
+     * @property {Queue}
+     */
+    queue: null,
+
+    /**
+     * Identifies this instance's saves within a queue. (defaults to the
+     * element's id) Without one, saves are never queued.
+     *
+     * @property {String}
+     */
+    name: null,
+
+    /**
+     * An existing container to adopt (selector or element) instead of
+     * building one. It must contain the content element and a form with the
+     * class `inlineedit-form`. (meant for server-rendered markup, this always
+     * uses the "toggle" renderStrategy)
+     *
+     * @property {String|HTMLElement}
+     */
+    container: null,
+
+    /**
+     * An external source for the value, which is read when created and
+     * written to after each save. It must implement:
+     *
+     *  - get(): returns the current value
+     *  - set(val): stores a newly saved value
+     *  - subscribe(fn): calls `fn` whenever the value changes elsewhere, and
+     *    returns a function that cancels the subscription
+     *
+     * @property {Object}
+     */
+    model: null,
+
+    /**
+     * The version (or ETag) of the current value, which is passed along to
+     * submitForm. (defaults to the element's `data-version` attribute)
+     *
+     * @property {String}
+     */
+    version: null,
+
+    /**
+     * How the content, form and spinner are swapped as the state changes:
+     *
+     *  - "replace" detaches the views that are not in use (default)
+     *  - "toggle" keeps every view in the container, hiding those that are
+     *    not in use via the `hidden` attribute
+     *
+     * @property {String}
+     */
+    renderStrategy: "replace",
+
+    /**
+     * The maximum number of saved values kept for undo()/redo(). (0 disables
+     * the history altogether)
+     *
+     * @property {Number}
+     */
+    historySize: 10,
+
+    /**
+     * Overrides for the text used by the built-in interface and templates.
+     * (any keys left out will use the defaults, see InlineEdit.setMessages)
+     *
+     * @property {Object}
+     */
+    messages: null,
+
 
     // the methods that may safely be overridden
 
@@ -96,9 +308,33 @@ module.exports = machina.Fsm.extend({
      *
      * Requirements:
      *  - it *should* be a block-level element (eg: <div>)
+     *  - it *may* include a button.inlineedit-cancel[type="button"]
      */
     spinnerElement: require("./spinner.html"),
 
+    /**
+     * Determines the structure of the area used to display submit failures
+     * within the form. (this is added to the top of the form during init)
+     *
+     * (see normalizeElement for possible values this property can take)
+     */
+    errorElement: require("./error.html"),
+
+    /**
+     * Determines the structure of the area used to resolve a conflicting
+     * edit. (this is added to the container, after the form, and hidden until
+     * needed)
+     *
+     * (see normalizeElement for possible values this property can take)
+     *
+     * Requirements:
+     *  - it *should* include an element with the class `inlineedit-theirs`
+     *    (where the conflicting value is formatted)
+     *  - it *should* include buttons with the values "keep", "take" and
+     *    "merge" (see the "conflict" state)
+     */
+    conflictElement: require("./conflict.html"),
+
     /**
      * Combines the results of formElement and interfaceElement into a
      * complete UI for the user. This hook can also be used to add any other
@@ -124,7 +360,7 @@ module.exports = machina.Fsm.extend({
      * @param {HTMLFormElement} form
      */
     populateForm: function (val, form) {
-        var input = form.elements.item(0);
+        var input = control(this, form);
         input.value = val;
         input.focus();
     },
@@ -137,19 +373,251 @@ module.exports = machina.Fsm.extend({
      * @returns {String}
      */
     processForm: function (form) {
-        return form.elements.item(0).value;
+        return control(this, form).value;
+    },
+
+    /**
+     * Finds the control within the form that holds the value: the interface
+     * element itself, or the first control within it. (otherwise the first
+     * element of the form)
+     *
+     * @param {HTMLFormElement} form
+     * @returns {HTMLElement}
+     */
+    getInput: function (form) {
+        return control(this, form);
+    },
+
+    /**
+     * Compares 2 values, used to determine if the user has made any changes.
+     * (see isDirty) When the submitted value is equal to the current value,
+     * the submission is skipped and an "unchanged" event is emitted.
+     *
+     * The default compares arrays, objects and dates by their contents, and
+     * treats null, undefined and empty strings as equal.
+     *
+     * @param {Mixed} a
+     * @param {Mixed} b
+     * @returns {Boolean}
+     */
+    isEqual: function (a, b) {
+        return equal(a, b);
+    },
+
+    /**
+     * Runs when the user cancels (including via blurAction) after making
+     * changes to the form. Returning false will veto the cancel, leaving the
+     * form open.
+     *
+     * The default allows the changes to be discarded.
+     *
+     * @param {Mixed} val
+     * @param {HTMLFormElement} form
+     * @returns {Boolean}
+     */
+    confirmDiscard: function () {
+        return true;
+    },
+
+    /**
+     * Runs before editing starts, receiving the same data as the "edit"
+     * event. Returning false will veto editing, while changing `data.value`
+     * will change what the form is populated with.
+     *
+     * The default allows editing.
+     *
+     * @param {Object} data
+     * @returns {Boolean}
+     */
+    beforeEdit: function () {},
+
+    /**
+     * Runs before the form is submitted, receiving the same data as the
+     * "submit" event. Returning false will veto the submission, while changing
+     * `data.value` will change what is validated and saved.
+     *
+     * The default allows the submission.
+     *
+     * @param {Object} data
+     * @returns {Boolean}
+     */
+    beforeSubmit: function () {},
+
+    /**
+     * Runs before the form is cancelled (including via blurAction), receiving
+     * the same data as the "cancel" event. Returning false will veto the
+     * cancel, leaving the form open.
+     *
+     * The default allows the cancel.
+     *
+     * @param {Object} data
+     * @returns {Boolean}
+     */
+    beforeCancel: function () {},
+
+    /**
+     * Validates the processed value before it is submitted. Any problems
+     * should be returned as an object of messages keyed by field name. (an
+     * empty object or falsy value means the value is valid)
+     *
+     * This can be async in 1 of 2 ways: either by returning a promise (or
+     * thenable) for the errors or by accepting the `done` param, which is a
+     * node-style callback. (ie: `done(err, errors)`)
+     *
+     * The default uses the browser's native constraint validation, keying
+     * the errors by field name. (or by index for unnamed fields)
+     *
+     * @param {String} val
+     * @param {HTMLFormElement} form
+     * @param {Function} [done]
+     * @returns {Object|Promise}
+     */
+    validate: function (val, form) {
+        var errors = {};
+        if (!form.checkValidity || form.checkValidity()) return errors;
+
+        each(form.elements, function (el, x) {
+            if (el.validity && !el.validity.valid) {
+                errors[el.name || x] = el.validationMessage;
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Renders the errors returned by validate into the form. Each message is
+     * added after the field it refers to, while messages that cannot be
+     * matched to a field are added to the top of the form.
+     *
+     * This is also called with `null` whenever the errors should be cleared.
+     *
+     * @param {Object} errors
+     * @param {HTMLFormElement} form
+     */
+    renderErrors: function (errors, form) {
+        clearErrors(form);
+
+        for (var key in errors) {
+            if (errors.hasOwnProperty(key) && errors[key]) {
+                renderError(form, key, errors[key]);
+            }
+        }
+    },
+
+    /**
+     * Renders a failed submission (see submitForm) into the error element.
+     * This is also called with `null` whenever the error should be cleared.
+     *
+     * The default behavior is to set the text content of the element to the
+     * error's message.
+     *
+     * @param {Error} err
+     * @param {HTMLElement} el
+     */
+    formatError: function (err, el) {
+        text(el, err ? err.message : "");
+    },
+
+    /**
+     * Combines the user's value with a conflicting one. (see the "conflict"
+     * state) The result is put back into the form for the user to review.
+     *
+     * By default, objects are merged by key (keeping the user's changes over
+     * `base`, the value they started from) while other values are left as
+     * the user's.
+     *
+     * @param {Mixed} mine
+     * @param {Mixed} theirs
+     * @param {Mixed} base
+     * @returns {Mixed}
+     */
+    merge: function (mine, theirs, base) {
+        if (type(mine) !== "object" || type(theirs) !== "object") return mine;
+
+        var result = extend({}, theirs);
+        if (!base) base = {};
+
+        for (var key in mine) {
+            if (mine.hasOwnProperty(key) && !equal(mine[key], base[key])) {
+                result[key] = mine[key];
+            }
+        }
+
+        return result;
     },
 
     /**
      * Handles submitting the processed value. By default this is a no-op and
      * MUST be overridden!
      *
+     * Completion can be signaled either via the `done` node-style callback or
+     * by returning a promise. (or any thenable)
+     *
+     * The `context` includes an AbortSignal (as `signal`, where supported)
+     * that is triggered if the submission is abandoned (eg: by timeout) and
+     * the `version` of the value being replaced. A new version can be passed
+     * back via `done(null, val, { version: ... })`.
+     *
+     * When someone else has changed the value in the meantime, fail with an
+     * error that has `conflict` set to true, as well as the current `value`
+     * and `version`.
+     *
      * @param {String} val
+     * @param {Function} done
+     * @param {Object} context
+     * @returns {Promise}
      */
     submitForm: function (val, done) {
         done();
     },
 
+    /**
+     * Determines whether a failed submission should be retried. (see
+     * retryAttempts) By default, conflicts and errors for specific fields are
+     * not retried.
+     *
+     * @param {Error} err
+     * @returns {Boolean}
+     */
+    isRetryable: function (err) {
+        return !err.conflict && !hasErrors(err.errors);
+    },
+
+    /**
+     * Converts a value into one that survives being stored as JSON, for saves
+     * kept in a queue. (see InlineEdit.queue) Override this along with
+     * deserialize for values such as dates.
+     *
+     * @param {Mixed} val
+     * @returns {Mixed}
+     */
+    serialize: function (val) {
+        return val;
+    },
+
+    /**
+     * The reverse of serialize, reviving a value read back from a queue.
+     *
+     * @param {Mixed} val
+     * @returns {Mixed}
+     */
+    deserialize: function (val) {
+        return val;
+    },
+
+    /**
+     * Determines whether a keydown within the form should submit it. Browsers
+     * already submit single-line inputs on Enter, so the default here is
+     * Ctrl+Enter (or Cmd+Enter) which is mostly meant for <textarea>.
+     *
+     * @param {KeyboardEvent} e
+     * @returns {Boolean}
+     */
+    isSubmitKey: function (e) {
+        return e.keyCode === keys.enter && !!(e.ctrlKey || e.metaKey);
+    },
+
 
     // these methods/properties largely don't need modification, unless you
     // know exactly what you are doing
@@ -160,16 +628,22 @@ module.exports = machina.Fsm.extend({
      * first)
      */
     create: function () {
-        this.events.bind("click .inlineedit-content", "proxyEvent");
-        this.events.bind("submit .inlineedit-form", "proxyEvent");
-        this.events.bind("click .inlineedit-cancel", "proxyEvent", "cancel");
+        this.bind();
 
         classes(this.container).add("inlineedit");
         classes(this.element).add("inlineedit-content");
+        this.renderDisabled();
 
-        this.value = this.parseValue(this.element);
+        this.history = { undo: [], redo: [] };
+        this.join();
+        this.trackState();
+        this.connect();
 
-        wrap(this.element, this.container);
+        if (!this.adopted) wrap(this.element, this.container);
+        this.showElement(this.element);
+        append(this.container, this.conflict);
+
+        this.addAria();
     },
 
     /**
@@ -177,94 +651,857 @@ module.exports = machina.Fsm.extend({
      * back to it's original state.
      */
     destroy: function () {
+        this.emit("destroy", this.eventData(this.value));
         this.events.unbind();
+        clearTimeout(this.blurTimer);
+        this.abortSubmit();
+        this.leave();
+        this.untrackState();
+        this.disconnect();
 
-        classes(this.container).remove("inlineedit");
+        classes(this.container)
+            .remove("inlineedit")
+            .remove("inlineedit-disabled");
         classes(this.element).remove("inlineedit-content");
 
-        this.container.parentNode.replaceChild(this.element, this.container);
+        this.removeAria();
+        this.showElement(this.element);
+
+        if (!this.adopted) unwrap(this.container, this.element);
 
         delete this.value;
+        delete this.history;
     },
 
     /**
-     * Helper method for proxying a DOM event into machina.Fsm#handle. If type
-     * is passed, it will take precedence over e.type
-     *
-     * @param {Event} e
-     * @param {String} [type]
+     * Binds the DOM events within the container.
      */
-    proxyEvent: function (e, type) {
-        e.preventDefault();
-        this.handle(type || e.type);
+    bind: function () {
+        var events = this.events;
+
+        events.bind("click .inlineedit-content", "proxyEvent");
+        events.bind("keydown .inlineedit-content", "onContentKeydown");
+        events.bind("submit .inlineedit-form", "proxyEvent");
+        events.bind("keydown .inlineedit-form", "onFormKeydown");
+        events.bind("focusout .inlineedit-form", "onFormFocusout");
+        events.bind("click .inlineedit-cancel", "proxyEvent", "cancel");
+        events.bind("click .inlineedit-conflict button", "onConflictClick");
     },
 
     /**
-     * This method "normalizes" the input to become a DOM element according to
-     * the following specs:
-     *
-     *  - when `HTMLElement`, return the reference
-     *  - when `String`, run through domify and return
-     *  - when `Function`, invoke it and proxy the results back in
-     *
-     * @param {String|HTMLElement|Function} el
+     * Adds this instance to it's group and queue. (if any)
      */
-    normalizeElement: function (el) {
-        switch (type(el)) {
-        case "element":
-            return el;
+    join: function () {
+        if (this.group) this.group.add(this);
+        if (this.queue) this.queue.add(this);
+    },
 
-        case "string":
-            return domify(el);
+    /**
+     * The reverse of join, removes this instance from it's group and queue.
+     */
+    leave: function () {
+        if (this.group) this.group.remove(this);
+        if (this.queue) this.queue.remove(this);
+    },
 
-        case "function":
-            return this.normalizeElement(el.call(this));
+    /**
+     * Reads the initial value, either from the model (formatting it into the
+     * element and listening for changes) or by parsing the element.
+     */
+    connect: function () {
+        var self = this;
+        var model = this.model;
 
-        default:
-            throw new TypeError("string or element required");
+        if (this.version === null) {
+            this.version = this.element.getAttribute("data-version");
+        }
+
+        if (!model) {
+            this.value = this.parseValue(this.element);
+            return;
         }
+
+        this.value = model.get();
+        this.formatValue(this.value, this.element);
+
+        this.unsubscribe = model.subscribe(function () {
+            self.handle("change", model.get());
+        });
     },
 
     /**
-     * Empties the container element and appends the element specified (meant
-     * to keep only 1 interface visible at a time)
-     *
-     * @param {HTMLElement} el
+     * The reverse of connect, stops listening to the model.
      */
-    showElement: function (el) {
-        empty(this.container);
-        this.container.appendChild(el);
+    disconnect: function () {
+        if (this.unsubscribe) this.unsubscribe();
+        delete this.unsubscribe;
     },
 
+    /**
+     * Keeps the container's `inlineedit-state-*` class in sync with the
+     * current state. (meant for styling/animating each state)
+     */
+    trackState: function () {
+        var list = classes(this.container);
+        var prefix = "inlineedit-state-";
+        if (this.state) list.add(prefix + this.state);
 
-    // machina.js configuration
+        this.stateListener = this.on("transition", function (data) {
+            if (data.fromState) list.remove(prefix + data.fromState);
+            list.add(prefix + data.toState);
+        });
+    },
 
     /**
-     * This function runs **once** for each instance, and it handles preparing
-     * the instance for use.
+     * The reverse of trackState, removing the listener and the class.
      */
-    initialize: function () {
-        if (typeof this.element === "string") {
-            this.element = document.querySelector(this.element);
-        }
+    untrackState: function () {
+        this.stateListener.off();
+        classes(this.container).remove("inlineedit-state-" + this.state);
+        delete this.stateListener;
+    },
 
-        this.container = document.createElement("div");
-        this.form = this.normalizeElement(this.formElement);
-        this.interface = this.normalizeElement(this.interfaceElement);
-        this.spinner = this.normalizeElement(this.spinnerElement);
+    /**
+     * Fills in the text of the templates, then creates the elements that
+     * describe this instance to assistive technology: a hint for the content
+     * element and a live region for announcing the progress of saving.
+     */
+    initializeAria: function () {
+        [ this.form, this.spinner, this.conflict ].forEach(this.localize, this);
 
-        this.prepareForm(this.interface, this.form);
+        this.hint = domify("<span class=\"inlineedit-hint\" hidden></span>");
+        this.hint.id = "inlineedit-hint-" + (++uid);
+        text(this.hint, this.message("hint"));
 
-        this.events = events(this.container, this);
+        this.status = domify("<div class=\"inlineedit-status\"></div>");
+        this.status.setAttribute("role", "status");
+        this.status.setAttribute("aria-live", "polite");
 
-        classes(this.form).add("inlineedit-form");
-        classes(this.spinner).add("inlineedit-spinner");
+        setDefault(this.form, "aria-label", this.message("form"));
+        setDefault(this.spinner, "tabindex", "-1");
+        setDefault(this.error, "id", "inlineedit-errors-" + uid);
 
-        this.create();
+        // the built-in interfaces have no <label> of their own
+        var input = this.getInput(this.form);
+        if (input === this.interface && !hasLabel(input)) {
+            input.setAttribute("aria-label", this.message("input"));
+        }
     },
 
     /**
-     * This determines where in the lifecycle the FSM will be after init.
+     * Makes the content element focusable and describes how to edit it.
+     * Attributes that are already present on the element are left alone.
+     */
+    addAria: function () {
+        var el = this.element;
+        var added = this.addedAttributes = [];
+
+        if (setDefault(el, "tabindex", "0")) added.push("tabindex");
+
+        if (setDefault(el, "aria-describedby", this.hint.id)) {
+            added.push("aria-describedby");
+        }
+
+        this.container.appendChild(this.hint);
+        this.container.appendChild(this.status);
+    },
+
+    /**
+     * The reverse of addAria, removes the attributes and elements it added.
+     */
+    removeAria: function () {
+        var el = this.element;
+
+        this.addedAttributes.forEach(function (name) {
+            el.removeAttribute(name);
+        });
+
+        el.removeAttribute("aria-disabled");
+
+        this.container.removeChild(this.hint);
+        this.container.removeChild(this.status);
+
+        delete this.addedAttributes;
+    },
+
+    /**
+     * Retrieves the text for `key` from messages, falling back to the
+     * default when it is not defined. Any `{name}` placeholders are replaced
+     * with the matching property of `params`.
+     *
+     * @param {String} key
+     * @param {Object} [params]
+     * @returns {String}
+     */
+    message: function (key, params) {
+        var own = this.messages || {};
+        var str = key in own ? own[key] : messages[key];
+        return interpolate(str, params);
+    },
+
+    /**
+     * Fills in the text of each element marked with `data-message`, and the
+     * `aria-label` of each marked with `data-label`, from messages. (this
+     * includes `el` itself)
+     *
+     * @param {HTMLElement} el
+     */
+    localize: function (el) {
+        var self = this;
+
+        marked(el, "data-message").forEach(function (node) {
+            text(node, self.message(node.getAttribute("data-message")));
+        });
+
+        marked(el, "data-label").forEach(function (node) {
+            var label = self.message(node.getAttribute("data-label"));
+            node.setAttribute("aria-label", label);
+        });
+    },
+
+    /**
+     * Announces the message via the live region. (for assistive technology)
+     *
+     * @param {String} message
+     */
+    announce: function (message) {
+        text(this.status, message || "");
+    },
+
+    /**
+     * Helper method for proxying a DOM event into machina.Fsm#handle. If type
+     * is passed, it will take precedence over e.type
+     *
+     * @param {Event} e
+     * @param {String} [type]
+     */
+    proxyEvent: function (e, type) {
+        e.preventDefault();
+        this.handle(type || e.type);
+    },
+
+    /**
+     * Handles the buttons used to resolve a conflict, using the button's
+     * value as the input. (eg: "keep")
+     *
+     * @param {MouseEvent} e
+     */
+    onConflictClick: function (e) {
+        this.proxyEvent(e, e.delegateTarget.value);
+    },
+
+    /**
+     * Allows the content element to be activated via the keyboard. (using
+     * either Enter or Space, just like a button) This also handles the undo
+     * (Ctrl+Z) and redo (Ctrl+Shift+Z or Ctrl+Y) shortcuts.
+     *
+     * @param {KeyboardEvent} e
+     */
+    onContentKeydown: function (e) {
+        var mod = e.ctrlKey || e.metaKey;
+
+        if (e.keyCode === keys.enter || e.keyCode === keys.space) {
+            this.proxyEvent(e, "click");
+        } else if (mod && e.keyCode === keys.z) {
+            e.preventDefault();
+            if (e.shiftKey) this.redo(); else this.undo();
+        } else if (mod && e.keyCode === keys.y) {
+            e.preventDefault();
+            this.redo();
+        }
+    },
+
+    /**
+     * Handles the keyboard shortcuts available while editing: Escape will
+     * cancel and isSubmitKey determines what will submit.
+     *
+     * @param {KeyboardEvent} e
+     */
+    onFormKeydown: function (e) {
+        if (e.keyCode === keys.escape) {
+            this.proxyEvent(e, "cancel");
+        } else if (this.isSubmitKey(e)) {
+            this.proxyEvent(e, "submit");
+        }
+    },
+
+    /**
+     * Tracks the focus leaving the form as a whole. The check is deferred
+     * until the focus has settled, since moving between the fields of the
+     * form will also emit focusout events.
+     */
+    onFormFocusout: function () {
+        var self = this;
+        if (this.blurAction === "none") return;
+
+        clearTimeout(this.blurTimer);
+        this.blurTimer = setTimeout(function () {
+            var active = document.activeElement;
+            if (!self.form.contains(active)) self.handle("blur");
+        }, 0);
+    },
+
+    /**
+     * Runs validate, normalizing the different ways it may complete into a
+     * single node-style callback.
+     *
+     * @param {String} val
+     * @param {Function} done
+     */
+    runValidation: function (val, done) {
+        var fn = this.validate;
+
+        if (fn.length > 2) {
+            fn.call(this, val, this.form, done);
+        } else {
+            settle(fn.call(this, val, this.form), done);
+        }
+    },
+
+    /**
+     * Runs submitForm, normalizing the different ways it may complete and
+     * enforcing the submitTimeout. Only the result of the latest submission
+     * will be acted upon.
+     *
+     * @param {String} val
+     * @param {Number} [attempt]
+     */
+    runSubmit: function (val, attempt) {
+        var self = this;
+        var submission = this.submission = createSubmission(val);
+        var result;
+
+        submission.attempt = attempt || 1;
+
+        function done(err, newVal, meta) {
+            // ignore anything that arrives late (eg: after a timeout)
+            if (self.submission !== submission || submission.settled) return;
+            submission.settled = true;
+            clearTimeout(submission.timer);
+            if (err && self.retry(err, submission)) return;
+            self.submission = null;
+
+            if (err) {
+                self.handle("error", err, val);
+            } else if (typeof newVal !== "undefined") {
+                self.handle("success", newVal, meta);
+            } else {
+                self.handle("success", val, meta);
+            }
+        }
+
+        if (this.submitTimeout) {
+            submission.timer = setTimeout(function () {
+                var ms = self.submitTimeout;
+                done(timeoutError(self.message("timeout", { ms: ms })));
+                abort(submission);
+            }, this.submitTimeout);
+        }
+
+        result = this.submitForm(val, done, {
+            signal: submission.signal,
+            version: this.version
+        });
+        if (isThenable(result)) settle(result, done);
+    },
+
+    /**
+     * While offline, adds the value to the queue (if there is one, and it
+     * accepted this instance) instead of submitting it. (see Queue#add)
+     *
+     * @param {Mixed} val
+     * @returns {Boolean} whether the value was queued
+     */
+    enqueue: function (val) {
+        var queue = this.queue;
+        if (!queue || !queue.has(this) || queue.online()) return false;
+
+        queue.push(this, val);
+        this.handle("queued", val);
+        return true;
+    },
+
+    /**
+     * Schedules another attempt for a failed submission, if it can be
+     * retried. (see retryAttempts and isRetryable) A "retry" event is emitted
+     * with the error and the number of the attempt that failed.
+     *
+     * @param {Error} err
+     * @param {Object} submission
+     * @returns {Boolean} whether it will be retried
+     */
+    retry: function (err, submission) {
+        var self = this;
+        var attempt = submission.attempt;
+        var delay = this.retryDelay * Math.pow(2, attempt - 1);
+
+        if (attempt > this.retryAttempts || !this.isRetryable(err)) {
+            return false;
+        }
+
+        submission.timer = setTimeout(function () {
+            self.runSubmit(submission.value, attempt + 1);
+        }, delay);
+
+        this.emit("retry", err, attempt);
+        return true;
+    },
+
+    /**
+     * Submits a save that was queued while offline. (see InlineEdit.queue)
+     * The value is revived via deserialize, and once it succeeds a "flushed"
+     * event is emitted with it. The callback runs exactly once, even when
+     * submitForm throws.
+     *
+     * @param {Object} entry
+     * @param {Function} callback
+     */
+    submitQueued: function (entry, callback) {
+        var self = this;
+        var settled = false;
+        var value, result;
+
+        function done(err, newVal, meta) {
+            if (settled) return;
+            settled = true;
+
+            if (err) {
+                self.emit("error", err, self.eventData(value));
+                return callback(err);
+            }
+
+            // the queue is told first, so the save isn't left marked as sent
+            // if displaying the new value fails
+            var val = typeof newVal === "undefined" ? value : newVal;
+            callback(null);
+
+            if (meta && "version" in meta) self.version = meta.version;
+            if (self.model) self.model.set(val);
+            self.handle("change", val);
+            self.emit("flushed", val);
+        }
+
+        try {
+            value = this.deserialize(entry.value);
+            result = this.submitForm(value, done, { version: entry.version });
+        } catch (err) {
+            if (settled) throw err;
+            return done(err);
+        }
+
+        if (isThenable(result)) settle(result, done);
+    },
+
+    /**
+     * Abandons the current submission (if any), meaning it's result will be
+     * ignored and it's AbortSignal will be triggered.
+     */
+    abortSubmit: function () {
+        var submission = this.submission;
+        if (!submission) return;
+
+        this.submission = null;
+        clearTimeout(submission.timer);
+        abort(submission);
+    },
+
+    /**
+     * Reverts to the value that was saved before the current one. This goes
+     * through submitForm like any other change, and emits an "undo" event
+     * once saved. (only available while in the "ready" state, and not
+     * disabled)
+     *
+     * @returns {Boolean} whether there was anything to undo
+     */
+    undo: function () {
+        return this.travel("undo");
+    },
+
+    /**
+     * Reapplies the value that was reverted by undo. This goes through
+     * submitForm like any other change, and emits a "redo" event once saved.
+     * (only available while in the "ready" state, and not disabled)
+     *
+     * @returns {Boolean} whether there was anything to redo
+     */
+    redo: function () {
+        return this.travel("redo");
+    },
+
+    /**
+     * Saves the most recent value from one of the history stacks.
+     *
+     * @param {String} action  "undo" or "redo"
+     * @returns {Boolean}
+     */
+    travel: function (action) {
+        var stack = this.history[action];
+        if (this.state !== "ready" || !stack.length) return false;
+        if (this.isDisabled()) return false;
+
+        this.historyAction = action;
+        this.pending = stack.pop();
+        this.transition("saving");
+
+        return true;
+    },
+
+    /**
+     * Records a successful save in the history. A regular save makes the
+     * previous value available to undo (and clears the redo stack) while
+     * undo and redo move the previous value to the opposite stack.
+     *
+     * @param {Mixed} previous
+     */
+    remember: function (previous) {
+        var action = this.historyAction;
+        var stack = action === "undo" ? this.history.redo : this.history.undo;
+        delete this.historyAction;
+
+        if (!action) this.history.redo = [];
+        if (!this.historySize) return;
+
+        stack.push(previous);
+        if (stack.length > this.historySize) stack.shift();
+    },
+
+    /**
+     * When an undo or redo could not be saved, puts the value back on it's
+     * stack so the history is unchanged.
+     *
+     * @param {Mixed} val
+     * @returns {Boolean} whether the save was an undo or redo
+     */
+    forget: function (val) {
+        var action = this.historyAction;
+        if (!action) return false;
+
+        delete this.historyAction;
+        this.history[action].push(val);
+        return true;
+    },
+
+    /**
+     * Opens the form, just like clicking the content element.
+     *
+     * @returns {Promise}
+     */
+    edit: function () {
+        this.handle("click");
+        return this.whenSettled();
+    },
+
+    /**
+     * Submits the form, just like the submit button.
+     *
+     * @returns {Promise}
+     */
+    submit: function () {
+        this.handle("submit");
+        return this.whenSettled();
+    },
+
+    /**
+     * Cancels editing (or saving), just like the cancel button.
+     *
+     * @returns {Promise}
+     */
+    cancel: function () {
+        this.handle("cancel");
+        return this.whenSettled();
+    },
+
+    /**
+     * Changes the current value without saving it, formatting it into the
+     * content element. (while editing, the user's input is kept but flagged
+     * as stale) A "change" event is emitted unless `options.silent` is set,
+     * or the value is the same as the current one.
+     *
+     * @param {Mixed} val
+     * @param {Object} [options]
+     * @returns {Promise}
+     */
+    setValue: function (val, options) {
+        var current = this.remote ? this.remote.value : this.value;
+        var data = this.eventData(val, current);
+        var silent = options && options.silent;
+
+        if (this.isEqual(val, current)) return this.whenSettled();
+
+        this.handle("change", val);
+        if (!silent) this.emit("change", data);
+
+        return this.whenSettled();
+    },
+
+    /**
+     * Retrieves the current (last saved) value.
+     *
+     * @returns {Mixed}
+     */
+    getValue: function () {
+        return this.value;
+    },
+
+    /**
+     * Creates a promise that resolves with the current value once the
+     * instance is no longer validating or saving. (see InlineEdit.Promise)
+     *
+     * @returns {Promise}
+     */
+    whenSettled: function () {
+        var self = this;
+
+        return new InlineEdit.Promise(function (resolve) {
+            var listener;
+            if (!self.isBusy()) return resolve(self.getValue());
+
+            listener = self.on("*", function (name) {
+                if (name === "destroy" || !self.isBusy() && settles[name]) {
+                    listener.off();
+                    resolve(self.getValue());
+                }
+            });
+        });
+    },
+
+    /**
+     * Determines whether the instance is validating or saving.
+     *
+     * @returns {Boolean}
+     */
+    isBusy: function () {
+        return this.state === "saving" || !!this.validation;
+    },
+
+    /**
+     * Prevents editing until enable is called. If the form is open, it is
+     * closed and any changes are discarded.
+     */
+    disable: function () {
+        this.disabled = true;
+        this.renderDisabled();
+        this.handle("disable");
+    },
+
+    /**
+     * Allows editing again after disable.
+     */
+    enable: function () {
+        this.disabled = false;
+        this.renderDisabled();
+    },
+
+    /**
+     * Determines whether editing is currently disabled. (see disabled)
+     *
+     * @returns {Boolean}
+     */
+    isDisabled: function () {
+        var disabled = this.disabled;
+        if (typeof disabled === "function") return !!disabled.call(this);
+        return !!disabled;
+    },
+
+    /**
+     * Marks the container (via the `inlineedit-disabled` class) and content
+     * element (via `aria-disabled`) when editing is disabled.
+     */
+    renderDisabled: function () {
+        var list = classes(this.container);
+
+        if (this.isDisabled()) {
+            list.add("inlineedit-disabled");
+            this.element.setAttribute("aria-disabled", "true");
+        } else {
+            list.remove("inlineedit-disabled");
+            this.element.removeAttribute("aria-disabled");
+        }
+    },
+
+    /**
+     * Creates the data for a lifecycle event. (eg: "saved")
+     *
+     * @param {Mixed} value
+     * @param {Mixed} [previousValue] defaults to the current value
+     * @returns {Object}
+     */
+    eventData: function (value, previousValue) {
+        if (typeof previousValue === "undefined") previousValue = this.value;
+
+        return {
+            value: value,
+            previousValue: previousValue,
+            instance: this
+        };
+    },
+
+    /**
+     * Accepts the conflicting value and version as the current ones. (see
+     * the "conflict" state)
+     */
+    resolve: function () {
+        this.value = this.remote.value;
+        this.version = this.remote.version;
+    },
+
+    /**
+     * Displays (or clears) a failed submission within the form. When the
+     * error includes an `errors` object, those are rendered as field errors.
+     * (see renderErrors)
+     *
+     * @param {Error} [err]
+     */
+    showError: function (err) {
+        var input = this.getInput(this.form);
+
+        this.formatError(err || null, this.error);
+        this.renderErrors(err && err.errors || null, this.form);
+        if (input) describe(input, this.error.id, !!err);
+    },
+
+    /**
+     * Determines if the form currently holds changes that have not been saved.
+     *
+     * @returns {Boolean}
+     */
+    isDirty: function () {
+        return !this.isEqual(this.processForm(this.form), this.value);
+    },
+
+    /**
+     * Determines if the user's focus is currently within this instance.
+     *
+     * @returns {Boolean}
+     */
+    hasFocus: function () {
+        return this.container.contains(document.activeElement);
+    },
+
+    /**
+     * This method "normalizes" the input to become a DOM element according to
+     * the following specs:
+     *
+     *  - when `HTMLElement`, return the reference
+     *  - when `String`, run through domify and return
+     *  - when `Function`, invoke it and proxy the results back in
+     *
+     * @param {String|HTMLElement|Function} el
+     */
+    normalizeElement: function (el) {
+        switch (type(el)) {
+        case "element":
+            return el;
+
+        case "string":
+            return domify(el);
+
+        case "function":
+            return this.normalizeElement(el.call(this));
+
+        default:
+            throw new TypeError("string or element required");
+        }
+    },
+
+    /**
+     * Swaps the element specified into the container, in place of whichever
+     * interface (content, form or spinner) was displayed before. (meant to
+     * keep only 1 interface visible at a time) With the "toggle"
+     * renderStrategy, the other interfaces are hidden instead of detached.
+     *
+     * @param {HTMLElement} el
+     */
+    showElement: function (el) {
+        var container = this.container;
+        var views = [ this.element, this.form, this.spinner ];
+
+        if (this.renderStrategy === "toggle") {
+            views.forEach(function (view) {
+                append(container, view);
+                setHidden(view, view !== el);
+            });
+        } else {
+            views.forEach(function (view) {
+                if (view.parentNode === container) container.removeChild(view);
+            });
+
+            container.insertBefore(el, container.firstChild);
+        }
+
+        this.view = el;
+    },
+
+
+    // machina.js configuration
+
+    /**
+     * This function runs **once** for each instance, and it handles preparing
+     * the instance for use.
+     */
+    initialize: function () {
+        this.element = find(this.element);
+
+        if (this.container) this.adopt(); else this.build();
+
+        this.events = events(this.container, this);
+
+        classes(this.form).add("inlineedit-form");
+        classes(this.spinner).add("inlineedit-spinner");
+        classes(this.error).add("inlineedit-errors");
+        classes(this.conflict).add("inlineedit-conflict");
+        setHidden(this.conflict, true);
+
+        this.initializeAria();
+        this.create();
+    },
+
+    /**
+     * Builds the container and interface elements from the templates.
+     */
+    build: function () {
+        this.container = document.createElement("div");
+        this.form = this.normalizeElement(this.formElement);
+        this.interface = this.normalizeElement(this.interfaceElement);
+        this.spinner = this.normalizeElement(this.spinnerElement);
+        this.error = this.normalizeElement(this.errorElement);
+
+        this.conflict = this.normalizeElement(this.conflictElement);
+
+        this.prepareForm(this.interface, this.form);
+        this.form.insertBefore(this.error, this.form.firstChild);
+    },
+
+    /**
+     * Finds the interface elements within an existing container. The form
+     * (and it's input) are used as-is, while the spinner, error and conflict
+     * elements are built from the templates when the markup doesn't include
+     * them.
+     */
+    adopt: function () {
+        var container = this.container = find(this.container);
+        var form = this.form = container.querySelector(".inlineedit-form");
+
+        this.adopted = true;
+        this.renderStrategy = "toggle";
+        this.element = this.element ||
+            container.querySelector(".inlineedit-content");
+        this.interface = form.querySelector(".inlineedit-interface") ||
+            form.elements.item(0);
+
+        this.spinner = container.querySelector(".inlineedit-spinner") ||
+            container.appendChild(this.normalizeElement(this.spinnerElement));
+
+        this.conflict = container.querySelector(".inlineedit-conflict") ||
+            this.normalizeElement(this.conflictElement);
+
+        this.error = form.querySelector(".inlineedit-errors") ||
+            form.insertBefore(this.normalizeElement(this.errorElement),
+                form.firstChild);
+    },
+
+    /**
+     * This determines where in the lifecycle the FSM will be after init.
      * Typically, this is only overridden for things like testing, but I'm sure
      * there are other clever uses for this. (like defaulting to "editing" for
      * specific interfaces in certain conditions)
@@ -274,53 +1511,798 @@ module.exports = machina.Fsm.extend({
     states: {
         ready: {
             _onEnter: function () {
-                if (this.element.parentNode !== this.container) {
+                if (this.view !== this.element) {
                     this.showElement(this.element);
                     this.formatValue(this.value, this.element);
                 }
+
+                // keyboard users should not lose their place after editing
+                if (this.restoreFocus) this.element.focus();
+                this.restoreFocus = false;
+                this.renderDisabled();
             },
             click: function () {
+                var data = this.eventData(this.value);
+
+                // a `disabled` function may have changed its mind since
+                this.renderDisabled();
+                if (this.isDisabled()) return;
+                if (this.beforeEdit(data) === false) return;
+
+                if (data.value !== this.value) this.draft = data.value;
                 this.transition("editing");
+                this.emit("edit", data);
+            },
+            change: function (val) {
+                if (this.isEqual(val, this.value)) return;
+
+                this.value = val;
+                this.formatValue(val, this.element);
             }
         },
 
         editing: {
             _onEnter: function () {
+                var draft = this.hasOwnProperty("draft");
+                var val = draft ? this.draft : this.value;
+                delete this.draft;
+
                 this.showElement(this.form);
-                this.populateForm(this.value, this.form);
+                this.populateForm(val, this.form);
+            },
+            _onExit: function () {
+                this.restoreFocus = this.hasFocus();
+                this.validation = null;
+                delete this.base;
+                classes(this.container).remove("inlineedit-stale");
             },
             cancel: function () {
+                var val = this.processForm(this.form);
+                var data = this.eventData(val);
+                var dirty = !this.isEqual(val, this.value);
+
+                if (this.beforeCancel(data) === false) return;
+                if (dirty && !this.confirmDiscard(val, this.form)) return;
+
+                this.showError(null);
+                this.transition("ready");
+                this.emit("cancel", data);
+            },
+            disable: function () {
+                var data = this.eventData(this.processForm(this.form));
+
+                this.showError(null);
                 this.transition("ready");
+                this.emit("cancel", data);
             },
             submit: function () {
-                this.transition("saving");
+                var self = this;
+                var data = this.eventData(this.processForm(this.form));
+                var base = this.hasOwnProperty("base") ? this.base : this.value;
+                var val;
+                var token;
+
+                if (this.beforeSubmit(data) === false) return;
+
+                val = data.value;
+                token = this.validation = {};
+
+                this.showError(null);
+                this.emit("submit", data);
+
+                if (this.isEqual(val, this.value) || this.isEqual(val, base)) {
+                    this.emit("unchanged");
+                    return this.transition("ready");
+                }
+
+                this.runValidation(val, function (err, errors) {
+                    if (self.validation !== token) return;
+                    self.validation = null;
+                    self.handle("validated", val, err, errors);
+                });
+            },
+            validated: function (val, err, errors) {
+                if (err) {
+                    this.emit("error", err, this.eventData(val));
+                } else if (hasErrors(errors)) {
+                    this.renderErrors(errors, this.form);
+                    this.announce(errorText(errors));
+                    this.emit("invalid", errors);
+                } else if (this.hasOwnProperty("base")) {
+                    this.handle("outdated", val);
+                } else {
+                    this.pending = val;
+                    this.transition("saving");
+                }
+            },
+            blur: function () {
+                var action = this.blurAction;
+                if (action === "submit" || action === "cancel") {
+                    this.handle(action);
+                }
+            },
+            outdated: function (val) {
+                // saving would overwrite the newer value, so it's resolved
+                // just like a conflict reported by submitForm
+                this.remote = { value: this.value, version: this.version };
+                this.value = this.base;
+                this.draft = val;
+                this.transition("conflict");
+            },
+            change: function (val) {
+                if (this.isEqual(val, this.value)) return;
+
+                // the user's input is kept, but flagged as out of date (the
+                // value they started from is kept for resolving the conflict)
+                if (!this.hasOwnProperty("base")) this.base = this.value;
+                this.value = val;
+                classes(this.container).add("inlineedit-stale");
+                this.emit("stale", val);
             }
         },
 
         saving: {
             _onEnter: function () {
-                var self = this;
-                var val = this.processForm(this.form);
+                var pending = this.hasOwnProperty("pending");
+                var val = pending ? this.pending : this.processForm(this.form);
+                var focused = this.hasFocus();
+                var view = this.optimistic ? this.element : this.spinner;
+                delete this.pending;
 
-                this.showElement(this.spinner);
+                this.showElement(view);
+                if (focused) view.focus();
 
-                this.submitForm(val, function (err, newVal) {
-                    if (err) {
-                        self.handle("error", err);
-                    } else {
-                        self.handle("success", typeof newVal !== "undefined" ? newVal : val);
-                    }
-                });
+                if (this.optimistic) {
+                    this.formatValue(val, this.element);
+                    classes(this.container).add("inlineedit-pending");
+                }
+
+                this.container.setAttribute("aria-busy", "true");
+                this.announce(this.message("saving"));
+                this.emit("saving", this.eventData(val));
+                if (!this.enqueue(val)) this.runSubmit(val);
+            },
+            _onExit: function () {
+                this.restoreFocus = this.hasFocus();
+                classes(this.container).remove("inlineedit-pending");
+                this.container.removeAttribute("aria-busy");
+            },
+            cancel: function () {
+                var submission = this.submission;
+                var state = this.abortState;
+                this.abortSubmit();
+
+                if (this.optimistic) this.formatValue(this.value, this.element);
+
+                if (submission && this.forget(submission.value)) {
+                    state = "ready";
+                } else if (state === "editing" && submission) {
+                    this.draft = submission.value;
+                }
+
+                this.emit("aborted");
+                this.transition(state);
+            },
+            success: function (val, meta) {
+                var action = this.historyAction;
+                var previous = this.value;
+                this.remember(previous);
+
+                this.value = val;
+                if (meta && "version" in meta) this.version = meta.version;
+                if (this.model) this.model.set(val);
+                if (this.optimistic) this.formatValue(val, this.element);
+
+                this.announce(this.message("saved"));
+                this.emit("saved", this.eventData(val, previous));
+                if (action) this.emit(action, val);
+                this.transition("ready");
+            },
+            queued: function (val) {
+                this.remember(this.value);
+                this.value = val;
+                if (this.optimistic) this.formatValue(val, this.element);
+
+                this.emit("queued", val);
+                this.transition("ready");
+            },
+            error: function (err, val) {
+                this.announce(err.message);
+                this.emit("error", err, this.eventData(val));
+
+                // roll back to the last committed value
+                if (this.optimistic) this.formatValue(this.value, this.element);
+
+                if (err.conflict) {
+                    this.forget(val);
+                    this.remote = { value: err.value, version: err.version };
+                    this.draft = val;
+                    return this.transition("conflict");
+                }
+
+                // a failed undo/redo leaves the history as it was
+                if (this.forget(val)) return this.transition("ready");
+
+                if (this.optimistic && !this.reopenOnError) {
+                    return this.transition("ready");
+                }
+
+                // keep what the user typed, so it can be corrected
+                this.draft = val;
+                this.transition("editing");
+                this.showError(err);
             },
-            success: function (val) {
+            change: function (val) {
+                // displayed (or rolled back to) once saving is done
                 this.value = val;
-                this.emit("saved");
+            }
+        },
+
+        conflict: {
+            _onEnter: function () {
+                var remote = this.remote;
+                var theirs = this.conflict.querySelector(".inlineedit-theirs");
+
+                this.showElement(this.form);
+                this.populateForm(this.draft, this.form);
+                delete this.draft;
+
+                this.formatValue(remote.value, theirs || this.conflict);
+                setHidden(this.conflict, false);
+                this.emit("conflict", remote.value, remote.version);
+            },
+            _onExit: function () {
+                this.restoreFocus = this.hasFocus();
+                setHidden(this.conflict, true);
+                delete this.remote;
+            },
+            keep: function () {
+                this.draft = this.processForm(this.form);
+                this.resolve();
+                this.transition("editing");
+                this.handle("submit");
+            },
+            take: function () {
+                this.resolve();
+                if (this.model) this.model.set(this.value);
                 this.transition("ready");
             },
-            error: function (err) {
-                this.emit("error", err);
+            merge: function () {
+                var mine = this.processForm(this.form);
+                var base = this.value;
+
+                this.resolve();
+                this.draft = this.merge(mine, this.value, base);
                 this.transition("editing");
+            },
+            submit: function () {
+                this.handle("keep");
+            },
+            cancel: function () {
+                this.handle("take");
+            },
+            disable: function () {
+                var data = this.eventData(this.processForm(this.form));
+
+                this.handle("take");
+                this.emit("cancel", data);
+            },
+            change: function (val) {
+                var remote = this.remote;
+                var theirs = this.conflict.querySelector(".inlineedit-theirs");
+                if (this.isEqual(val, remote.value)) return;
+
+                // a newer value replaces the one being resolved against, so
+                // taking it doesn't overwrite the newer one
+                remote.value = val;
+                this.formatValue(val, theirs || this.conflict);
+                this.emit("conflict", val, remote.version);
             }
         }
     },
 });
+
+
+/**
+ * Wraps machina's `extend` so that static properties (such as the helpers
+ * below) are also inherited by subclasses, which machina does not do.
+ *
+ * @param {Object} [proto]
+ * @param {Object} [statics]
+ * @returns {Function}
+ */
+InlineEdit.extend = function (proto, statics) {
+    var Parent = this;
+    var Child = machina.Fsm.extend.call(Parent, proto, statics);
+
+    for (var key in Parent) {
+        if (Parent.hasOwnProperty(key) && !Child.hasOwnProperty(key)) {
+            Child[key] = Parent[key];
+        }
+    }
+
+    return Child;
+};
+
+/**
+ * Changes the default messages used by every instance. (keys that are left
+ * out keep their current text)
+ *
+ * @param {Object} overrides
+ */
+InlineEdit.setMessages = function (overrides) {
+    extend(messages, overrides);
+};
+
+/**
+ * Cleans HTML down to an allowlist of tags and attributes. (see sanitize.js)
+ */
+InlineEdit.sanitize = require("./sanitize");
+
+/**
+ * Renders Markdown as HTML. (see markdown.js)
+ */
+InlineEdit.markdown = require("./markdown");
+
+/**
+ * The Promise implementation used by the methods that return one, such as
+ * edit(). Browsers without a native Promise need a compatible library here.
+ */
+InlineEdit.Promise = window.Promise;
+
+/**
+ * Creates a group of instances where only 1 of them can be editing at a time.
+ * Instances join via the `group` option. (see group.js for the full API)
+ *
+ * @param {Object} [options]
+ * @returns {Group}
+ */
+InlineEdit.group = function (options) {
+    return new Group(options);
+};
+
+/**
+ * Creates a queue for the saves made while offline. Instances join via the
+ * `queue` option. (see queue.js for the full API)
+ *
+ * @param {Object} [options]
+ * @returns {Queue}
+ */
+InlineEdit.queue = function (options) {
+    return new Queue(options);
+};
+
+
+/**
+ * Lazily creates instances for elements within `root` that match `selector`
+ * the first time they are activated. Settings are taken from `options`,
+ * which can be overridden per-element via `data-*` attributes.
+ * (eg: `data-placeholder="n/a"`, see delegate.js for the full API)
+ *
+ * @param {HTMLElement|String} root
+ * @param {String} selector
+ * @param {Object} [options]
+ * @returns {Delegate}
+ */
+InlineEdit.delegate = function (root, selector, options) {
+    var Ctor = this;
+
+    return new Delegate(root, selector, function (el) {
+        var o = extend({}, options);
+        extend(o, dataOptions(el, Ctor.prototype));
+        o.element = el;
+
+        return new Ctor(o);
+    });
+};
+
+
+// built-in field types (eg: InlineEdit.Textarea, see types.js)
+extend(InlineEdit, require("./types")(InlineEdit));
+
+
+// private helpers
+
+/**
+ * Runs `fn` for each item in an array-like object.
+ *
+ * @param {Array|NodeList} list
+ * @param {Function} fn
+ */
+function each(list, fn) {
+    for (var x = 0; x < list.length; x++) fn(list[x], x);
+}
+
+/**
+ * Finds the elements within `el` (including itself) with the attribute.
+ *
+ * @param {HTMLElement} el
+ * @param {String} attr
+ * @returns {Array}
+ */
+function marked(el, attr) {
+    var list = [].slice.call(el.querySelectorAll("[" + attr + "]"));
+    if (el.hasAttribute(attr)) list.unshift(el);
+    return list;
+}
+
+/**
+ * Replaces the `{name}` placeholders in the string with the matching
+ * property of `params`.
+ *
+ * @param {String} str
+ * @param {Object} [params]
+ * @returns {String}
+ */
+function interpolate(str, params) {
+    if (!params) return str;
+
+    return str.replace(/\{(\w+)\}/g, function (match, name) {
+        return name in params ? params[name] : match;
+    });
+}
+
+/**
+ * Retrieves the element when given a selector.
+ *
+ * @param {String|HTMLElement} el
+ * @returns {HTMLElement}
+ */
+function find(el) {
+    return typeof el === "string" ? document.querySelector(el) : el;
+}
+
+/**
+ * Finds the control that holds the value. (see getInput) This does not
+ * require an instance, since the base methods can be used on their own.
+ *
+ * @param {InlineEdit} [instance]
+ * @param {HTMLFormElement} form
+ * @returns {HTMLElement}
+ */
+function control(instance, form) {
+    var el = instance && instance.interface;
+    var first = form.elements.item(0);
+
+    if (!el || !form.contains(el)) return first;
+    if (/^(input|select|textarea)$/i.test(el.nodeName)) return el;
+    return el.querySelector("input, select, textarea") || first;
+}
+
+/**
+ * The reverse of wrap, puts the element back in the container's place.
+ *
+ * @param {HTMLElement} container
+ * @param {HTMLElement} el
+ */
+function unwrap(container, el) {
+    container.parentNode.replaceChild(el, container);
+}
+
+/**
+ * Appends the element to the container, unless it is already inside.
+ *
+ * @param {HTMLElement} container
+ * @param {HTMLElement} el
+ */
+function append(container, el) {
+    if (!container.contains(el)) container.appendChild(el);
+}
+
+/**
+ * Adds or removes the `hidden` attribute.
+ *
+ * @param {HTMLElement} el
+ * @param {Boolean} hidden
+ */
+function setHidden(el, hidden) {
+    if (hidden) el.setAttribute("hidden", "");
+    else el.removeAttribute("hidden");
+}
+
+/**
+ * Sets the attribute on the element, unless it is already present.
+ *
+ * @param {HTMLElement} el
+ * @param {String} name
+ * @param {String} val
+ * @returns {Boolean} whether the attribute was added
+ */
+function setDefault(el, name, val) {
+    if (el.hasAttribute(name)) return false;
+    el.setAttribute(name, val);
+    return true;
+}
+
+/**
+ * Copies the properties of `source` onto `target`.
+ *
+ * @param {Object} target
+ * @param {Object} [source]
+ * @returns {Object}
+ */
+function extend(target, source) {
+    for (var key in source) {
+        if (source.hasOwnProperty(key)) target[key] = source[key];
+    }
+
+    return target;
+}
+
+/**
+ * Reads the settings from an element's `data-*` attributes. Only the options
+ * listed in `attributeOptions` (that `proto` also has) are used, and their
+ * values are coerced to the listed type. (so elements, callbacks and objects
+ * such as `group` can only be set via options)
+ *
+ * @param {HTMLElement} el
+ * @param {Object} proto
+ * @returns {Object}
+ */
+function dataOptions(el, proto) {
+    var o = {};
+
+    each(el.attributes, function (attr) {
+        if (attr.name.indexOf("data-") !== 0) return;
+
+        var key = camelcase(attr.name.slice(5));
+        var kind = attributeOptions[key];
+
+        if (kind && key in proto) o[key] = coerce(attr.value, kind);
+    });
+
+    return o;
+}
+
+/**
+ * Converts a dashed attribute name into camelCase. (eg: "blur-action")
+ *
+ * @param {String} str
+ * @returns {String}
+ */
+function camelcase(str) {
+    return str.replace(/-([a-z])/g, function (m, c) {
+        return c.toUpperCase();
+    });
+}
+
+/**
+ * Converts an attribute value to the given type. (see attributeOptions)
+ *
+ * @param {String} val
+ * @param {String} kind
+ * @returns {Mixed}
+ */
+function coerce(val, kind) {
+    switch (kind) {
+    case "boolean":
+        return val !== "false";
+
+    case "number":
+        return Number(val);
+
+    default:
+        return val;
+    }
+}
+
+/**
+ * Compares 2 values by their contents. (see InlineEdit#isEqual)
+ *
+ * @param {Mixed} a
+ * @param {Mixed} b
+ * @returns {Boolean}
+ */
+function equal(a, b) {
+    if (isEmpty(a) && isEmpty(b)) return true;
+    if (type(a) !== type(b)) return false;
+
+    switch (type(a)) {
+    case "date":
+        return a.getTime() === b.getTime();
+
+    case "array":
+    case "object":
+        var names = Object.keys(a);
+        if (names.length !== Object.keys(b).length) return false;
+        return names.every(function (name) {
+            return equal(a[name], b[name]);
+        });
+
+    default:
+        return a === b;
+    }
+}
+
+/**
+ * Determines if the value is null, undefined or an empty string.
+ *
+ * @param {Mixed} val
+ * @returns {Boolean}
+ */
+function isEmpty(val) {
+    return val === null || typeof val === "undefined" || val === "";
+}
+
+/**
+ * Resolves the result of a hook that may or may not be a promise (or any
+ * thenable) into a node-style callback.
+ *
+ * @param {Mixed} result
+ * @param {Function} done
+ */
+function settle(result, done) {
+    if (isThenable(result)) {
+        result.then(function (val) {
+            done(null, val);
+        }, function (err) {
+            done(err || new Error("rejected"));
+        });
+    } else {
+        done(null, result);
+    }
+}
+
+/**
+ * Determines if the value is a promise. (or any thenable)
+ *
+ * @param {Mixed} val
+ * @returns {Boolean}
+ */
+function isThenable(val) {
+    return !!val && typeof val.then === "function";
+}
+
+/**
+ * Creates the object used to track a single call to submitForm, including
+ * an AbortController where the browser supports it.
+ *
+ * @param {String} val
+ * @returns {Object}
+ */
+function createSubmission(val) {
+    var Controller = window.AbortController;
+    var controller = Controller ? new Controller() : null;
+
+    return {
+        value: val,
+        controller: controller,
+        signal: controller ? controller.signal : undefined
+    };
+}
+
+/**
+ * Triggers the AbortSignal for the submission. (if supported)
+ *
+ * @param {Object} submission
+ */
+function abort(submission) {
+    if (submission.controller) submission.controller.abort();
+}
+
+/**
+ * Creates the error used when a submission exceeds the submitTimeout.
+ *
+ * @param {String} message
+ * @returns {Error}
+ */
+function timeoutError(message) {
+    var err = new Error(message);
+    err.timeout = true;
+    return err;
+}
+
+/**
+ * Determines if the validation errors object contains any messages.
+ *
+ * @param {Object} errors
+ * @returns {Boolean}
+ */
+function hasErrors(errors) {
+    for (var key in errors) {
+        if (errors.hasOwnProperty(key) && errors[key]) return true;
+    }
+
+    return false;
+}
+
+/**
+ * Joins the messages of the errors returned by validate, for announcing.
+ *
+ * @param {Object} errors
+ * @returns {String}
+ */
+function errorText(errors) {
+    var list = [];
+
+    for (var key in errors) {
+        if (errors.hasOwnProperty(key) && errors[key]) list.push(errors[key]);
+    }
+
+    return list.join(" ");
+}
+
+/**
+ * Adds (or removes) an id from the element's `aria-describedby`, leaving any
+ * other ids in place.
+ *
+ * @param {HTMLElement} el
+ * @param {String} id
+ * @param {Boolean} add
+ */
+function describe(el, id, add) {
+    var list = (el.getAttribute("aria-describedby") || "").split(/\s+/);
+
+    list = list.filter(function (token) {
+        return token && token !== id;
+    });
+
+    if (add) list.push(id);
+
+    if (list.length) {
+        el.setAttribute("aria-describedby", list.join(" "));
+    } else {
+        el.removeAttribute("aria-describedby");
+    }
+}
+
+/**
+ * Determines if the form control has an accessible name already.
+ *
+ * @param {HTMLElement} el
+ * @returns {Boolean}
+ */
+function hasLabel(el) {
+    if (el.hasAttribute("aria-label")) return true;
+    if (el.hasAttribute("aria-labelledby")) return true;
+    return !!(el.labels && el.labels.length);
+}
+
+/**
+ * Removes any error messages previously rendered into the form.
+ *
+ * @param {HTMLFormElement} form
+ */
+function clearErrors(form) {
+    each(form.querySelectorAll(".inlineedit-error"), function (el) {
+        var selector = "[aria-describedby~=\"" + el.id + "\"]";
+
+        each(form.querySelectorAll(selector), function (field) {
+            describe(field, el.id, false);
+        });
+
+        el.parentNode.removeChild(el);
+    });
+
+    each(form.querySelectorAll(".inlineedit-invalid"), function (el) {
+        classes(el).remove("inlineedit-invalid");
+        el.removeAttribute("aria-invalid");
+    });
+}
+
+/**
+ * Renders a single error message next to the field it refers to, or at the
+ * top of the form when no such field exists.
+ *
+ * @param {HTMLFormElement} form
+ * @param {String} key
+ * @param {String} message
+ */
+function renderError(form, key, message) {
+    var field = form.elements[key];
+    var el = domify("<span class=\"inlineedit-error\"></span>");
+    el.id = "inlineedit-error-" + (++uid);
+    text(el, message);
+
+    // radio groups (and similar) return a list of elements
+    if (field && !field.nodeType) field = field[field.length - 1];
+
+    if (field) {
+        classes(field).add("inlineedit-invalid");
+        field.setAttribute("aria-invalid", "true");
+        field.parentNode.insertBefore(el, field.nextSibling);
+        describe(field, el.id, true);
+    } else {
+        form.insertBefore(el, form.firstChild);
+    }
+}
@@ -0,0 +1,569 @@
+/**
+ * A small Markdown renderer covering the common parts of CommonMark, used by
+ * the Markdown mode. (see types.js)
+ *
+ * Supported blocks: paragraphs, ATX and setext headings, thematic breaks,
+ * fenced code, blockquotes and (nested) bulleted/numbered lists.
+ *
+ * Supported inlines: emphasis, strong emphasis, code spans, links, images,
+ * autolinks, backslash escapes and hard line breaks.
+ *
+ * Raw HTML is not supported, it is escaped like any other text.
+ *
+ * @author Dominic Barnes <dominic@dbarnes.info>
+ */
+
+"use strict";
+
+// single export
+module.exports = markdown;
+
+// the block rules, in order of precedence (paragraph is the fallback)
+var rules = [ fence, heading, thematicBreak, blockquote, list ];
+
+/**
+ * Renders Markdown source as HTML.
+ *
+ * @param {String} src
+ * @returns {String}
+ */
+function markdown(src) {
+    var lines = String(src || "")
+        .replace(/\u0000/g, "\ufffd")
+        .replace(/\r\n?/g, "\n")
+        .split("\n");
+
+    return blocks(lines, false).join("\n");
+}
+
+
+// private helpers
+
+/**
+ * Renders each of the blocks found in the lines.
+ *
+ * @param {Array:String} lines
+ * @param {Boolean} tight  render paragraphs without <p> (for tight lists)
+ * @returns {Array:String}
+ */
+function blocks(lines, tight) {
+    var out = [];
+    var i = 0;
+    var block;
+
+    while (i < lines.length) {
+        if (isBlank(lines[i])) {
+            i += 1;
+        } else {
+            block = match(lines, i, tight);
+            out.push(block.html);
+            i = block.end;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Renders the block that starts at line `i`.
+ *
+ * @param {Array:String} lines
+ * @param {Number} i
+ * @param {Boolean} tight
+ * @returns {Object}  with the `html` and the `end` (the next line)
+ */
+function match(lines, i, tight) {
+    var block;
+
+    for (var x = 0; x < rules.length; x += 1) {
+        block = rules[x](lines, i);
+        if (block) return block;
+    }
+
+    return paragraph(lines, i, tight);
+}
+
+/**
+ * A fenced code block, which runs until the closing fence. (or the end)
+ *
+ * @param {Array:String} lines
+ * @param {Number} i
+ * @returns {Object}
+ */
+function fence(lines, i) {
+    var m = /^ {0,3}(`{3,}|~{3,})/.exec(lines[i]);
+    if (!m) return null;
+
+    var close = new RegExp("^ {0,3}" + m[1].charAt(0) +
+        "{" + m[1].length + ",}[ \\t]*$");
+    var end = i + 1;
+    var code;
+
+    while (end < lines.length && !close.test(lines[end])) end += 1;
+
+    code = lines.slice(i + 1, end).map(function (line) {
+        return line + "\n";
+    });
+
+    return {
+        html: "<pre><code>" + escapeHtml(code.join("")) + "</code></pre>",
+        end: end + 1
+    };
+}
+
+/**
+ * An ATX heading. (eg: "## Title")
+ *
+ * @param {Array:String} lines
+ * @param {Number} i
+ * @returns {Object}
+ */
+function heading(lines, i) {
+    var m = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/
+        .exec(lines[i]);
+
+    if (!m) return null;
+
+    return {
+        html: tag("h" + m[1].length, inline(m[2] || "")),
+        end: i + 1
+    };
+}
+
+/**
+ * A thematic break. (eg: "***" or "- - -")
+ *
+ * @param {Array:String} lines
+ * @param {Number} i
+ * @returns {Object}
+ */
+function thematicBreak(lines, i) {
+    if (!isBreak(lines[i])) return null;
+    return { html: "<hr>", end: i + 1 };
+}
+
+/**
+ * A blockquote, made up of the following lines that start with ">".
+ *
+ * @param {Array:String} lines
+ * @param {Number} i
+ * @returns {Object}
+ */
+function blockquote(lines, i) {
+    var re = /^ {0,3}> ?/;
+    var inner = [];
+    var end = i;
+
+    while (end < lines.length && re.test(lines[end])) {
+        inner.push(lines[end].replace(re, ""));
+        end += 1;
+    }
+
+    if (!inner.length) return null;
+
+    return {
+        html: tag("blockquote", "\n" + blocks(inner, false).join("\n") + "\n"),
+        end: end
+    };
+}
+
+/**
+ * A list, made up of the following items that use the same kind of marker.
+ * It is loose (each item's paragraphs are wrapped in <p>) when any of the
+ * items are separated by (or contain) blank lines.
+ *
+ * @param {Array:String} lines
+ * @param {Number} i
+ * @returns {Object}
+ */
+function list(lines, i) {
+    var first = marker(lines[i]);
+    if (!first) return null;
+
+    var items = [];
+    var loose = false;
+    var end = i;
+    var m = first;
+    var item;
+
+    while (m && m.type === first.type) {
+        item = listItem(lines, end, m);
+        m = item.next;
+        loose = loose || item.loose ||
+            (item.gap && !!m && m.type === first.type);
+        items.push(item.lines);
+        end = item.end;
+    }
+
+    return { html: renderList(first, items, loose), end: end };
+}
+
+/**
+ * Collects the lines of the list item that starts at line `i`, with the
+ * marker and indentation removed.
+ *
+ * @param {Array:String} lines
+ * @param {Number} i
+ * @param {Object} m  the item's marker
+ * @returns {Object}
+ */
+function listItem(lines, i, m) {
+    var content = [ lines[i].slice(m.offset) ];
+    var end = i + 1;
+    var line;
+
+    while (end < lines.length) {
+        line = lines[end];
+
+        if (indent(line) >= m.offset) {
+            content.push(line.slice(m.offset));
+        } else if (isBlank(line) || isLazy(line, content)) {
+            content.push(isBlank(line) ? "" : line);
+        } else {
+            break;
+        }
+
+        end += 1;
+    }
+
+    return finishItem(content, lines, end);
+}
+
+/**
+ * Removes the trailing blank lines of a list item, and works out whether
+ * it makes the list loose.
+ *
+ * @param {Array:String} content
+ * @param {Array:String} lines
+ * @param {Number} end
+ * @returns {Object}
+ */
+function finishItem(content, lines, end) {
+    var gap = false;
+
+    while (content.length > 1 && isBlank(content[content.length - 1])) {
+        content.pop();
+        gap = true;
+    }
+
+    return {
+        lines: content,
+        end: end,
+        gap: gap,
+        loose: content.some(isBlank),
+        next: end < lines.length ? marker(lines[end]) : null
+    };
+}
+
+/**
+ * Renders a list and it's items.
+ *
+ * @param {Object} first  the marker of the first item
+ * @param {Array:Array} items
+ * @param {Boolean} loose
+ * @returns {String}
+ */
+function renderList(first, items, loose) {
+    var name = first.ordered ? "ol" : "ul";
+    var open = "<" + name;
+
+    if (first.ordered && first.start !== 1) {
+        open += " start=\"" + first.start + "\"";
+    }
+
+    return open + ">\n" + items.map(function (item) {
+        return tag("li", blocks(item, !loose).join("\n"));
+    }).join("\n") + "\n</" + name + ">";
+}
+
+/**
+ * A paragraph, which runs until a blank line or the start of another block.
+ * When it's followed by a setext underline ("===" or "---") it becomes a
+ * heading instead.
+ *
+ * @param {Array:String} lines
+ * @param {Number} i
+ * @param {Boolean} tight
+ * @returns {Object}
+ */
+function paragraph(lines, i, tight) {
+    var text = [ lines[i] ];
+    var end = i + 1;
+    var setext;
+
+    while (end < lines.length) {
+        setext = /^ {0,3}(=+|-+)[ \t]*$/.exec(lines[end]);
+        if (setext || interrupts(lines[end])) break;
+        text.push(lines[end]);
+        end += 1;
+    }
+
+    text = inline(text.map(trim).join("\n").replace(/\s+$/, ""));
+
+    if (setext) {
+        return {
+            html: tag(setext[1].charAt(0) === "=" ? "h1" : "h2", text),
+            end: end + 1
+        };
+    }
+
+    return { html: tight ? text : tag("p", text), end: end };
+}
+
+/**
+ * Determines if a line ends a paragraph. (list items only do so when they
+ * are not empty, and when numbered only when they start at 1)
+ *
+ * @param {String} line
+ * @returns {Boolean}
+ */
+function interrupts(line) {
+    var m = marker(line);
+
+    if (isBlank(line) || isBreak(line)) return true;
+    if (/^ {0,3}(#{1,6}([ \t]|$)|`{3,}|~{3,}|>)/.test(line)) return true;
+
+    return !!m && !isBlank(line.slice(m.offset)) &&
+        (!m.ordered || m.start === 1);
+}
+
+/**
+ * Determines if a line continues the paragraph at the end of a list item,
+ * even without being indented. ("lazy" continuation)
+ *
+ * @param {String} line
+ * @param {Array:String} content
+ * @returns {Boolean}
+ */
+function isLazy(line, content) {
+    var last = content[content.length - 1];
+    return !isBlank(last) && !interrupts(line) && !marker(line) &&
+        !/^ {0,3}(=+|-+)[ \t]*$/.test(line);
+}
+
+/**
+ * Parses a list item marker. (eg: "-", "*", "+", "1." or "1)")
+ *
+ * @param {String} line
+ * @returns {Object}  with the `type`, whether it's `ordered`, the `start`
+ *                    number and the `offset` of the item's content
+ */
+function marker(line) {
+    var m = /^( {0,3})([-*+]|(\d{1,9})([.)]))( +|$)/.exec(line);
+    if (!m || isBreak(line)) return null;
+
+    // content that is indented too far (or missing) starts after one space
+    var pad = m[5].length;
+    if (pad > 4 || isBlank(line.slice(m[0].length))) pad = 1;
+
+    return {
+        type: m[4] || m[2],
+        ordered: !!m[3],
+        start: m[3] ? parseInt(m[3], 10) : null,
+        offset: m[1].length + m[2].length + pad
+    };
+}
+
+/**
+ * Renders the inline content of a block.
+ *
+ * Code spans, backslash escapes and the generated tags are set aside as
+ * placeholders, so the escaping and emphasis that follow leave them alone.
+ *
+ * @param {String} src
+ * @returns {String}
+ */
+function inline(src) {
+    var stash = [];
+
+    function keep(html) {
+        return "\u0000" + (stash.push(html) - 1) + "\u0000";
+    }
+
+    function restore(str) {
+        return str.replace(/\u0000(\d+)\u0000/g, function (m, x) {
+            return restore(stash[x]);
+        });
+    }
+
+    var out = src
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function (m, ticks, code) {
+            return keep(tag("code", escapeHtml(codeSpan(code))));
+        })
+        .replace(/\\([!-\/:-@\[-`{-~])/g, function (m, ch) {
+            return keep(escapeHtml(ch));
+        })
+        .replace(/\\\n/g, function () {
+            return keep("<br>\n");
+        });
+
+    return restore(emphasis(escapeHtml(links(out, keep))));
+}
+
+/**
+ * Renders autolinks, images and links. (the text of a link is left for the
+ * rest of the inline rules)
+ *
+ * @param {String} str
+ * @param {Function} keep
+ * @returns {String}
+ */
+function links(str, keep) {
+    var dest = "\\(\\s*([^\\s()]*(?:\\s+\"[^\"]*\")?)\\s*\\)";
+
+    return str
+        .replace(/<([a-z][a-z0-9+.\-]{1,31}:[^\s<>]*)>/gi, function (m, url) {
+            return keep(anchor(url) + escapeHtml(url) + "</a>");
+        })
+        .replace(new RegExp("!\\[([^\\]]*)\\]" + dest, "g"),
+            function (m, alt, target) {
+                var d = destination(target);
+                return keep("<img src=\"" + escapeHtml(d.url) + "\" alt=\"" +
+                    escapeHtml(alt) + "\"" + titleOf(d.title) + ">");
+            })
+        .replace(new RegExp("\\[([^\\]]*)\\]" + dest, "g"),
+            function (m, text, target) {
+                var d = destination(target);
+                return keep(anchor(d.url, d.title)) + text + keep("</a>");
+            });
+}
+
+/**
+ * Splits the destination of a link or image into the `url` (which can be
+ * wrapped in <>) and the optional `title`.
+ *
+ * @param {String} target
+ * @returns {Object}
+ */
+function destination(target) {
+    var m = /^<?(\S*?)>?(?:\s+"([^"]*)")?$/.exec(target);
+    return { url: m[1], title: m[2] };
+}
+
+/**
+ * Renders strong emphasis, emphasis and hard line breaks. (the string has
+ * already been escaped)
+ *
+ * @param {String} str
+ * @returns {String}
+ */
+function emphasis(str) {
+    return str
+        .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g,
+            "<em><strong>$1</strong></em>")
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g,
+            "<strong>$1</strong>")
+        .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g,
+            "$1<strong>$2</strong>")
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g,
+            "<em>$1</em>")
+        .replace(/(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g,
+            "$1<em>$2</em>")
+        .replace(/ {2,}\n/g, "<br>\n");
+}
+
+/**
+ * Generates the opening tag of a link.
+ *
+ * @param {String} url
+ * @param {String} [title]
+ * @returns {String}
+ */
+function anchor(url, title) {
+    return "<a href=\"" + escapeHtml(url) + "\"" + titleOf(title) + ">";
+}
+
+/**
+ * Generates the title attribute (when there is one) for links and images.
+ *
+ * @param {String} [title]
+ * @returns {String}
+ */
+function titleOf(title) {
+    return title ? " title=\"" + escapeHtml(title) + "\"" : "";
+}
+
+/**
+ * Normalizes the contents of a code span: line endings become spaces, and a
+ * single space is stripped from each side. (when both sides have one)
+ *
+ * @param {String} code
+ * @returns {String}
+ */
+function codeSpan(code) {
+    code = code.replace(/\n/g, " ");
+
+    if (/^ [\s\S]*[^ ][\s\S]* $/.test(code)) {
+        code = code.slice(1, -1);
+    }
+
+    return code;
+}
+
+/**
+ * Wraps the HTML in the given tag.
+ *
+ * @param {String} name
+ * @param {String} html
+ * @returns {String}
+ */
+function tag(name, html) {
+    return "<" + name + ">" + html + "</" + name + ">";
+}
+
+/**
+ * Escapes the characters that have special meaning in HTML.
+ *
+ * @param {String} str
+ * @returns {String}
+ */
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Determines if the line is a thematic break.
+ *
+ * @param {String} line
+ * @returns {Boolean}
+ */
+function isBreak(line) {
+    return /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line);
+}
+
+/**
+ * Determines if the line is empty. (or only whitespace)
+ *
+ * @param {String} line
+ * @returns {Boolean}
+ */
+function isBlank(line) {
+    return !/\S/.test(line);
+}
+
+/**
+ * Counts the spaces at the start of a line.
+ *
+ * @param {String} line
+ * @returns {Number}
+ */
+function indent(line) {
+    return /^ */.exec(line)[0].length;
+}
+
+/**
+ * Removes whitespace from both ends of a line, except for the trailing
+ * spaces that make a hard line break.
+ *
+ * @param {String} line
+ * @returns {String}
+ */
+function trim(line) {
+    return line.replace(/^[ \t]+/, "").replace(/[ \t]+$/, function (ws) {
+        return ws.length >= 2 ? "  " : "";
+    });
+}
@@ -0,0 +1,231 @@
+/**
+ * Holds on to the saves made while offline, so they can be submitted once the
+ * connection is back. (even after the page has been reloaded)
+ *
+ * @author Dominic Barnes <dominic@dbarnes.info>
+ */
+
+"use strict";
+
+// single export
+module.exports = Queue;
+
+/**
+ * Saves are persisted to `options.storage`, which can be any object with the
+ * `getItem(key)` and `setItem(key, val)` methods of `localStorage`. (the
+ * default) They are kept as JSON under `options.key`.
+ *
+ * Whenever the browser comes back online, the saves that belong to the
+ * instances in the queue are submitted. (see flush)
+ *
+ * @constructor
+ * @param {Object} [options]
+ */
+function Queue(options) {
+    if (!(this instanceof Queue)) return new Queue(options);
+    if (!options) options = {};
+
+    var self = this;
+
+    this.storage = options.storage || window.localStorage;
+    this.key = options.key || "inlineedit-queue";
+    this.instances = [];
+    this.sending = {};
+
+    this.listener = function () {
+        self.flush();
+    };
+
+    window.addEventListener("online", this.listener, false);
+}
+
+/**
+ * Adds an instance to the queue. If any of it's saves are still queued from
+ * before, they are submitted shortly after. (adding the same instance more
+ * than once has no effect)
+ *
+ * Saves are matched to instances by name, so instances without one (or with
+ * the same name as another instance in the queue) are not added, and their
+ * saves are submitted right away as usual.
+ *
+ * @param {InlineEdit} instance
+ * @returns {Queue}
+ */
+Queue.prototype.add = function (instance) {
+    var self = this;
+    var name = nameOf(instance);
+    if (this.has(instance) || !name || this.named(name)) return this;
+
+    this.instances.push(instance);
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(function () {
+        self.flush();
+    }, 0);
+
+    return this;
+};
+
+/**
+ * Removes an instance from the queue. (any of it's saves are left queued)
+ *
+ * @param {InlineEdit} instance
+ * @returns {Queue}
+ */
+Queue.prototype.remove = function (instance) {
+    var x = this.instances.indexOf(instance);
+    if (x > -1) this.instances.splice(x, 1);
+    return this;
+};
+
+/**
+ * Determines if the instance is part of this queue.
+ *
+ * @param {InlineEdit} instance
+ * @returns {Boolean}
+ */
+Queue.prototype.has = function (instance) {
+    return this.instances.indexOf(instance) > -1;
+};
+
+/**
+ * Retrieves the instance in this queue with the given name.
+ *
+ * @param {String} name
+ * @returns {InlineEdit|undefined}
+ */
+Queue.prototype.named = function (name) {
+    return this.instances.filter(function (instance) {
+        return nameOf(instance) === name;
+    })[0];
+};
+
+/**
+ * Determines if the browser is online. (when it can't tell, it is assumed to
+ * be online)
+ *
+ * @returns {Boolean}
+ */
+Queue.prototype.online = function () {
+    return window.navigator.onLine !== false;
+};
+
+/**
+ * Retrieves the queued saves, each as an object with the `name` of the
+ * instance, the `value` and the `version` it was based on.
+ *
+ * @returns {Array}
+ */
+Queue.prototype.entries = function () {
+    return JSON.parse(this.storage.getItem(this.key) || "[]");
+};
+
+/**
+ * Queues a save for the instance. Only the latest value is kept for each
+ * instance, but the version stays as the one the first value was based on.
+ * (values are stored via InlineEdit#serialize)
+ *
+ * @param {InlineEdit} instance
+ * @param {Mixed} val
+ */
+Queue.prototype.push = function (instance, val) {
+    var name = nameOf(instance);
+    var list = this.entries();
+    var entry = find(list, name);
+    var value = instance.serialize(val);
+
+    if (entry) {
+        entry.value = value;
+    } else {
+        list.push({ name: name, value: value, version: instance.version });
+    }
+
+    this.save(list);
+};
+
+/**
+ * Submits each queued save that belongs to an instance in this queue. Saves
+ * are removed once they succeed, and left queued if they fail with an error
+ * that can be retried. (see InlineEdit#isRetryable) Others, such as conflicts,
+ * are removed since sending them again would fail the same way. (the error is
+ * still emitted by the instance)
+ *
+ * Saves that are still being sent are skipped, and nothing happens while
+ * offline.
+ */
+Queue.prototype.flush = function () {
+    var self = this;
+    if (!this.online()) return;
+
+    this.entries().forEach(function (entry) {
+        var name = entry.name;
+        var instance = self.named(name);
+
+        if (!instance || self.sending[name]) return;
+        self.sending[name] = true;
+
+        instance.submitQueued(entry, function (err) {
+            delete self.sending[name];
+            if (!err || !instance.isRetryable(err)) self.discard(entry);
+        });
+    });
+};
+
+/**
+ * Removes a queued save. If a newer value has been queued for the same
+ * instance in the meantime, it is left alone.
+ *
+ * @param {Object} entry
+ */
+Queue.prototype.discard = function (entry) {
+    var json = JSON.stringify(entry.value);
+
+    this.save(this.entries().filter(function (item) {
+        if (item.name !== entry.name) return true;
+        return JSON.stringify(item.value) !== json;
+    }));
+};
+
+/**
+ * Persists the list of queued saves.
+ *
+ * @param {Array} list
+ */
+Queue.prototype.save = function (list) {
+    this.storage.setItem(this.key, JSON.stringify(list));
+};
+
+/**
+ * Stops listening for the browser to come back online.
+ */
+Queue.prototype.destroy = function () {
+    clearTimeout(this.timer);
+    window.removeEventListener("online", this.listener, false);
+    this.instances = [];
+};
+
+
+// private helpers
+
+/**
+ * Retrieves the name that identifies an instance's saves.
+ *
+ * @param {InlineEdit} instance
+ * @returns {String}
+ */
+function nameOf(instance) {
+    return instance.name || instance.element.id;
+}
+
+/**
+ * Finds the queued save for the named instance.
+ *
+ * @param {Array} list
+ * @param {String} name
+ * @returns {Object}
+ */
+function find(list, name) {
+    return list.filter(function (entry) {
+        return entry.name === name;
+    })[0];
+}
@@ -0,0 +1,143 @@
+/**
+ * Cleans untrusted HTML down to an allowlist of tags and attributes, for the
+ * modes that render HTML into the content element.
+ *
+ * @author Dominic Barnes <dominic@dbarnes.info>
+ */
+
+"use strict";
+
+// single export
+module.exports = sanitize;
+
+/**
+ * The default allowlist, mapping each allowed tag to it's allowed attributes.
+ *
+ * @property {Object}
+ */
+sanitize.tags = {
+    a: [ "href", "title" ],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: [],
+    em: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    hr: [],
+    i: [],
+    li: [],
+    ol: [ "start" ],
+    p: [],
+    pre: [],
+    strong: [],
+    u: [],
+    ul: []
+};
+
+/**
+ * The protocols allowed in URL attributes. (relative URLs are always allowed)
+ *
+ * @property {Array}
+ */
+sanitize.protocols = [ "http", "https", "mailto" ];
+
+// tags that are removed along with their contents (rather than unwrapped)
+var dropped = {
+    iframe: true,
+    noscript: true,
+    object: true,
+    script: true,
+    style: true,
+    template: true
+};
+
+// attributes that contain a URL
+var urls = { href: true, src: true };
+
+/**
+ * Parses the HTML (in an inert document, so nothing is loaded or run) and
+ * rebuilds it with only the allowed tags and attributes. Any other element is
+ * replaced by it's contents, except for the likes of <script> which are
+ * removed entirely.
+ *
+ * @param {String} html
+ * @param {Object} [tags] the allowlist (see sanitize.tags)
+ * @returns {String}
+ */
+function sanitize(html, tags) {
+    var doc = document.implementation.createHTMLDocument("");
+    var source = doc.createElement("div");
+    var target = doc.createElement("div");
+
+    source.innerHTML = html || "";
+    copyChildren(source, target, tags || sanitize.tags);
+
+    return target.innerHTML;
+}
+
+
+// private helpers
+
+/**
+ * Copies the allowed children of `source` into `target`.
+ *
+ * @param {HTMLElement} source
+ * @param {HTMLElement} target
+ * @param {Object} tags
+ */
+function copyChildren(source, target, tags) {
+    var doc = target.ownerDocument;
+
+    [].slice.call(source.childNodes).forEach(function (node) {
+        if (node.nodeType === 3) {
+            target.appendChild(doc.createTextNode(node.nodeValue));
+        } else if (node.nodeType === 1) {
+            copyElement(node, target, tags);
+        }
+    });
+}
+
+/**
+ * Copies an element into `target`, either as a clean copy (when allowed) or
+ * by copying it's children in it's place.
+ *
+ * @param {HTMLElement} el
+ * @param {HTMLElement} target
+ * @param {Object} tags
+ */
+function copyElement(el, target, tags) {
+    var name = el.nodeName.toLowerCase();
+    var copy;
+
+    if (dropped[name]) return;
+    if (!tags.hasOwnProperty(name)) return copyChildren(el, target, tags);
+
+    copy = target.ownerDocument.createElement(name);
+
+    tags[name].forEach(function (attr) {
+        var val = el.getAttribute(attr);
+        if (val === null || urls[attr] && !isSafeUrl(val)) return;
+        copy.setAttribute(attr, val);
+    });
+
+    copyChildren(el, copy, tags);
+    target.appendChild(copy);
+}
+
+/**
+ * Determines if the URL is relative or uses an allowed protocol.
+ *
+ * @param {String} url
+ * @returns {Boolean}
+ */
+function isSafeUrl(url) {
+    // browsers ignore whitespace and control characters within the protocol
+    var clean = url.replace(/[\x00-\x20]/g, "").toLowerCase();
+    var m = /^([a-z][a-z0-9+.\-]*):/.exec(clean);
+    return !m || sanitize.protocols.indexOf(m[1]) > -1;
+}
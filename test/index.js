@@ -165,6 +165,28 @@ describe("InlineEdit(settings)", function () {
         });
     });
 
+    describe("#errorElement", function () {
+        var prop = InlineEdit.prototype.errorElement;
+
+        it("should be a string by default", function () {
+            expect(prop).to.be.a("string");
+        });
+
+        it("should be our default error area", function () {
+            var frag = domify(prop);
+
+            expect(frag.tagName).to.equal("DIV");
+            expect(text(frag)).to.equal("");
+        });
+
+        it("should be added to the top of the form", function () {
+            var instance = createInstance();
+            expect(instance.form.firstChild).to.equal(instance.error);
+            expect(instance.error.className).to.contain("inlineedit-errors");
+            destroyInstance(instance);
+        });
+    });
+
     describe("#prepareForm(input, form)", function () {
         var fn = InlineEdit.prototype.prepareForm;
 
@@ -211,6 +233,143 @@ describe("InlineEdit(settings)", function () {
         });
     });
 
+    describe("#isEqual(a, b)", function () {
+        var fn = InlineEdit.prototype.isEqual;
+
+        it("should compare strings", function () {
+            expect(fn("a", "a")).to.be(true);
+            expect(fn("a", "b")).to.be(false);
+        });
+
+        it("should treat empty values as equal", function () {
+            expect(fn(null, "")).to.be(true);
+            expect(fn(undefined, null)).to.be(true);
+        });
+
+        it("should compare objects and arrays by their contents", function () {
+            expect(fn({ a: [ 1, 2 ] }, { a: [ 1, 2 ] })).to.be(true);
+            expect(fn({ a: [ 1, 2 ] }, { a: [ 1 ] })).to.be(false);
+            expect(fn({ a: 1 }, { a: 1, b: 2 })).to.be(false);
+        });
+
+        it("should compare dates by their time", function () {
+            expect(fn(new Date(0), new Date(0))).to.be(true);
+            expect(fn(new Date(0), new Date(1))).to.be(false);
+        });
+    });
+
+    describe("#confirmDiscard(val, form)", function () {
+        it("should allow discarding by default", function () {
+            expect(InlineEdit.prototype.confirmDiscard()).to.be(true);
+        });
+    });
+
+    describe("#isDirty()", function () {
+        it("should be false until the form is changed", function () {
+            var instance = createInstance({
+                initialState: "editing"
+            });
+
+            expect(instance.isDirty()).to.be(false);
+            instance.form.elements[0].value = "Foo Bar Baz";
+            expect(instance.isDirty()).to.be(true);
+            destroyInstance(instance);
+        });
+    });
+
+    describe("#validate(val, form)", function () {
+        var fn = InlineEdit.prototype.validate;
+
+        it("should return no errors for a valid form", function () {
+            var el = domify("<form><input name=\"title\" value=\"Hello World\" required></form>");
+
+            expect(fn(null, el)).to.eql({});
+        });
+
+        it("should return errors keyed by field name", function () {
+            var el = domify("<form><input name=\"title\" required></form>");
+            var errors = fn(null, el);
+
+            expect(errors).to.have.key("title");
+            expect(errors.title).to.be.ok();
+        });
+
+        it("should key unnamed fields by index", function () {
+            var el = domify("<form><input required></form>");
+
+            expect(fn(null, el)).to.have.key("0");
+        });
+    });
+
+    describe("#renderErrors(errors, form)", function () {
+        var fn = InlineEdit.prototype.renderErrors;
+
+        it("should render each message after the matching field", function () {
+            var el = domify("<form><input name=\"title\"><button></button></form>");
+            var input = el.elements[0];
+
+            fn({ title: "required" }, el);
+
+            expect(input.nextSibling.className).to.equal("inlineedit-error");
+            expect(text(input.nextSibling)).to.equal("required");
+            expect(input.className).to.contain("inlineedit-invalid");
+        });
+
+        it("should render unmatched messages at the top of the form", function () {
+            var el = domify("<form><input name=\"title\"></form>");
+
+            fn({ other: "not allowed" }, el);
+
+            expect(el.firstChild.className).to.equal("inlineedit-error");
+            expect(text(el.firstChild)).to.equal("not allowed");
+        });
+
+        it("should clear previous errors", function () {
+            var el = domify("<form><input name=\"title\"></form>");
+
+            fn({ title: "required" }, el);
+            fn(null, el);
+
+            expect(el.querySelector(".inlineedit-error")).to.not.be.ok();
+            expect(el.querySelector(".inlineedit-invalid")).to.not.be.ok();
+        });
+    });
+
+    describe("#formatError(err, el)", function () {
+        var fn = InlineEdit.prototype.formatError;
+
+        it("should set the text content to the error message", function () {
+            var el = document.createElement("div");
+            fn(new Error("testing"), el);
+
+            expect(text(el)).to.equal("testing");
+        });
+
+        it("should clear the text content when null", function () {
+            var el = document.createElement("div");
+            fn(new Error("testing"), el);
+            fn(null, el);
+
+            expect(text(el)).to.equal("");
+        });
+    });
+
+    describe("#merge(mine, theirs, base)", function () {
+        var fn = InlineEdit.prototype.merge;
+
+        it("should keep the user's value for non-objects", function () {
+            expect(fn("a", "b", "c")).to.equal("a");
+        });
+
+        it("should merge objects by key", function () {
+            var base = { a: 1, b: 1, c: 1 };
+            var mine = { a: 2, b: 1, c: 1 };
+            var theirs = { a: 1, b: 3, c: 1 };
+
+            expect(fn(mine, theirs, base)).to.eql({ a: 2, b: 3, c: 1 });
+        });
+    });
+
     describe("#submitForm(val)", function () {
         var fn = InlineEdit.prototype.submitForm;
 
@@ -226,6 +385,275 @@ describe("InlineEdit(settings)", function () {
         });
     });
 
+    describe("#isSubmitKey(e)", function () {
+        var fn = InlineEdit.prototype.isSubmitKey;
+
+        it("should be true for Ctrl+Enter", function () {
+            expect(fn({ keyCode: 13, ctrlKey: true })).to.be(true);
+        });
+
+        it("should be true for Cmd+Enter", function () {
+            expect(fn({ keyCode: 13, metaKey: true })).to.be(true);
+        });
+
+        it("should be false for a plain Enter", function () {
+            expect(fn({ keyCode: 13 })).to.be(false);
+        });
+    });
+
+
+    describe("#create()", function () {
+        it("should make the content element focusable", function () {
+            var instance = createInstance();
+            expect(instance.element.getAttribute("tabindex")).to.equal("0");
+            destroyInstance(instance);
+        });
+
+        it("should not change an existing tabindex", function () {
+            var instance = createInstance({
+                element: domify("<div tabindex=\"3\">Hello World</div>")
+            });
+
+            expect(instance.element.getAttribute("tabindex")).to.equal("3");
+            destroyInstance(instance);
+            expect(instance.element.getAttribute("tabindex")).to.equal("3");
+        });
+
+        it("should describe the content element with a hint", function () {
+            var instance = createInstance();
+            var id = instance.element.getAttribute("aria-describedby");
+            var hint = document.getElementById(id);
+
+            expect(hint).to.equal(instance.hint);
+            expect(hint.parentNode).to.equal(instance.container);
+            expect(text(hint)).to.equal("Press Enter to edit");
+            destroyInstance(instance);
+        });
+
+        it("should add a live region to the container", function () {
+            var instance = createInstance();
+            expect(instance.status.parentNode).to.equal(instance.container);
+            expect(instance.status.getAttribute("role")).to.equal("status");
+            destroyInstance(instance);
+        });
+
+        it("should give the form an accessible name", function () {
+            var instance = createInstance();
+            expect(instance.form.getAttribute("aria-label")).to.equal("Edit");
+            destroyInstance(instance);
+        });
+
+        it("should give the input an accessible name", function () {
+            var instance = createInstance();
+            expect(instance.interface.getAttribute("aria-label"))
+                .to.equal("Value");
+            destroyInstance(instance);
+        });
+
+        it("should not label an input that has a label", function () {
+            var instance = createInstance({
+                interfaceElement: "<input aria-labelledby=\"title\">"
+            });
+
+            expect(instance.interface.hasAttribute("aria-label")).to.be(false);
+            destroyInstance(instance);
+        });
+    });
+
+    describe("#destroy()", function () {
+        it("should remove the tabindex it added", function () {
+            var instance = createInstance();
+            destroyInstance(instance);
+            expect(instance.element.hasAttribute("tabindex")).to.be(false);
+        });
+
+        it("should remove the aria-describedby it added", function () {
+            var instance = createInstance();
+            destroyInstance(instance);
+            expect(instance.element.hasAttribute("aria-describedby"))
+                .to.be(false);
+        });
+    });
+
+    describe("#message(key)", function () {
+        it("should return the configured message", function () {
+            var instance = createInstance({
+                messages: { saved: "Gespeichert" }
+            });
+
+            expect(instance.message("saved")).to.equal("Gespeichert");
+            destroyInstance(instance);
+        });
+
+        it("should fall back to the default message", function () {
+            var instance = createInstance({
+                messages: { saved: "Gespeichert" }
+            });
+
+            expect(instance.message("hint")).to.equal("Press Enter to edit");
+            destroyInstance(instance);
+        });
+
+        it("should replace placeholders with params", function () {
+            var instance = createInstance();
+            var msg = instance.message("timeout", { ms: 500 });
+            expect(msg).to.equal("submit timed out after 500ms");
+            destroyInstance(instance);
+        });
+    });
+
+    describe("#localize(el)", function () {
+        it("should fill in the text of the default templates", function () {
+            var instance = createInstance({
+                messages: { cancel: "Abbrechen", saving: "Speichern…" }
+            });
+
+            var cancel = instance.form.querySelector(".inlineedit-cancel");
+            expect(text(cancel)).to.equal("Abbrechen");
+            expect(text(instance.spinner)).to.equal("Speichern…");
+            destroyInstance(instance);
+        });
+
+        it("should fill in marked aria-labels", function () {
+            var instance = createInstance();
+            var el = domify("<div><button data-label=\"cancel\"></button></div>");
+
+            instance.localize(el);
+            expect(el.firstChild.getAttribute("aria-label")).to.equal("Cancel");
+            destroyInstance(instance);
+        });
+    });
+
+
+    describe("#undo() / #redo()", function () {
+        function save(instance, val) {
+            trigger(instance.element, "click");
+            instance.form.elements[0].value = val;
+            trigger(instance.form, "submit");
+        }
+
+        it("should do nothing without any history", function () {
+            var instance = createInstance();
+
+            expect(instance.undo()).to.be(false);
+            expect(instance.redo()).to.be(false);
+            destroyInstance(instance);
+        });
+
+        it("should save the previous value", function () {
+            var saved = [];
+            var instance = createInstance({
+                submitForm: function (val, done) {
+                    saved.push(val);
+                    done();
+                }
+            });
+
+            save(instance, "A");
+            save(instance, "B");
+
+            expect(instance.undo()).to.be(true);
+            expect(instance.value).to.equal("A");
+            expect(text(instance.element)).to.equal("A");
+            expect(saved).to.eql([ "A", "B", "A" ]);
+            destroyInstance(instance);
+        });
+
+        it("should redo the undone value", function () {
+            var instance = createInstance();
+
+            save(instance, "A");
+            instance.undo();
+            expect(instance.value).to.equal("Hello World");
+
+            instance.redo();
+            expect(instance.value).to.equal("A");
+            destroyInstance(instance);
+        });
+
+        it("should clear the redo history after a regular save", function () {
+            var instance = createInstance();
+
+            save(instance, "A");
+            instance.undo();
+            save(instance, "B");
+
+            expect(instance.redo()).to.be(false);
+            destroyInstance(instance);
+        });
+
+        it("should emit 'undo' and 'redo' events", function () {
+            var events = [];
+            var instance = createInstance();
+
+            instance.on("undo", function (val) {
+                events.push("undo:" + val);
+            });
+
+            instance.on("redo", function (val) {
+                events.push("redo:" + val);
+            });
+
+            save(instance, "A");
+            instance.undo();
+            instance.redo();
+
+            expect(events).to.eql([ "undo:Hello World", "redo:A" ]);
+            destroyInstance(instance);
+        });
+
+        it("should limit the history to historySize", function () {
+            var instance = createInstance({ historySize: 1 });
+
+            save(instance, "A");
+            save(instance, "B");
+
+            expect(instance.undo()).to.be(true);
+            expect(instance.undo()).to.be(false);
+            destroyInstance(instance);
+        });
+
+        it("should keep the history when the save fails", function () {
+            var fail = false;
+            var instance = createInstance({
+                submitForm: function (val, done) {
+                    done(fail ? new Error("testing") : null);
+                }
+            });
+
+            save(instance, "A");
+            fail = true;
+            instance.undo();
+
+            expect(instance.state).to.equal("ready");
+            expect(instance.value).to.equal("A");
+            expect(instance.history.undo).to.eql([ "Hello World" ]);
+            destroyInstance(instance);
+        });
+
+        it("should only be available while in the 'ready' state", function () {
+            var instance = createInstance();
+
+            save(instance, "A");
+            trigger(instance.element, "click");
+
+            expect(instance.undo()).to.be(false);
+            destroyInstance(instance);
+        });
+
+        it("should undo on Ctrl+Z and redo on Ctrl+Shift+Z", function () {
+            var instance = createInstance();
+
+            save(instance, "A");
+            instance.onContentKeydown(keyEvent(90, { ctrlKey: true }));
+            expect(instance.value).to.equal("Hello World");
+
+            instance.onContentKeydown(keyEvent(90, { ctrlKey: true, shiftKey: true }));
+            expect(instance.value).to.equal("A");
+            destroyInstance(instance);
+        });
+    });
+
 
     describe("#normalizeElement(el)", function () {
         var fn = InlineEdit.prototype.normalizeElement;
@@ -293,6 +721,45 @@ describe("InlineEdit(settings)", function () {
                 });
             });
 
+            it("should transition to 'editing' on Enter", function () {
+                var instance = createInstance();
+
+                instance.onContentKeydown(keyEvent(13));
+
+                expect(instance.state).to.equal("editing");
+                destroyInstance(instance);
+            });
+
+            it("should transition to 'editing' on Space", function () {
+                var instance = createInstance();
+
+                instance.onContentKeydown(keyEvent(32));
+
+                expect(instance.state).to.equal("editing");
+                destroyInstance(instance);
+            });
+
+            it("should ignore other keys", function () {
+                var instance = createInstance();
+
+                instance.onContentKeydown(keyEvent(65));
+
+                expect(instance.state).to.equal("ready");
+                destroyInstance(instance);
+            });
+
+            it("should focus the content element when the form had focus", function () {
+                var instance = createInstance({
+                    initialState: "editing"
+                });
+
+                expect(document.activeElement).to.equal(instance.form.elements[0]);
+                instance.onFormKeydown(keyEvent(27));
+
+                expect(document.activeElement).to.equal(instance.element);
+                destroyInstance(instance);
+            });
+
             it("should only display the original element", function () {
                 var instance = createInstance();
 
@@ -313,6 +780,7 @@ describe("InlineEdit(settings)", function () {
                     }
                 });
 
+                instance.form.elements[0].value = "Foo Bar Baz";
                 trigger(instance.form, "submit");
 
                 nextTick(function () {
@@ -336,29 +804,402 @@ describe("InlineEdit(settings)", function () {
                 });
             });
 
-            it("should only display the form", function () {
+            it("should transition to 'ready' on Escape", function () {
                 var instance = createInstance({
                     initialState: "editing"
                 });
 
-                expect(instance.element.parentNode).to.not.be.ok();
-                expect(instance.spinner.parentNode).to.not.be.ok();
-                expect(instance.form.parentNode).to.equal(instance.container);
+                instance.onFormKeydown(keyEvent(27));
 
+                expect(instance.state).to.equal("ready");
                 destroyInstance(instance);
             });
-        });
 
-        describe("saving", function () {
-            it("should transition to 'ready' on success (default)", function (done) {
+            it("should transition to 'saving' on the submit key", function () {
                 var instance = createInstance({
-                    initialState: "saving"
+                    initialState: "editing",
+                    submitForm: function (val, done) {
+                        setTimeout(done, 10);
+                    }
                 });
 
-                nextTick(function () {
-                    expect(instance.state).to.equal("ready");
-                    destroyInstance(instance);
-                    done();
+                instance.form.elements[0].value = "Foo Bar Baz";
+                instance.onFormKeydown(keyEvent(13, { ctrlKey: true }));
+
+                expect(instance.state).to.equal("saving");
+                destroyInstance(instance);
+            });
+
+            describe("with an unchanged value", function () {
+                it("should transition to 'ready' without submitting", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        submitForm: function () {
+                            throw new Error("should not submit");
+                        }
+                    });
+
+                    trigger(instance.form, "submit");
+
+                    expect(instance.state).to.equal("ready");
+                    destroyInstance(instance);
+                });
+
+                it("should emit an 'unchanged' event", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing"
+                    });
+
+                    instance.on("unchanged", function () {
+                        destroyInstance(instance);
+                        done();
+                    });
+
+                    trigger(instance.form, "submit");
+                });
+            });
+
+            describe("with confirmDiscard", function () {
+                it("should not be consulted when the form is unchanged", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        confirmDiscard: function () {
+                            return false;
+                        }
+                    });
+
+                    instance.handle("cancel");
+
+                    expect(instance.state).to.equal("ready");
+                    destroyInstance(instance);
+                });
+
+                it("should veto the cancel when it returns false", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        confirmDiscard: function (val, form) {
+                            expect(val).to.equal("Foo Bar Baz");
+                            expect(form).to.equal(instance.form);
+                            return false;
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    instance.handle("cancel");
+
+                    expect(instance.state).to.equal("editing");
+                    destroyInstance(instance);
+                });
+
+                it("should allow the cancel when it returns true", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        confirmDiscard: function () {
+                            return true;
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    instance.handle("cancel");
+
+                    expect(instance.state).to.equal("ready");
+                    destroyInstance(instance);
+                });
+
+                it("should veto a cancel from blurAction", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        blurAction: "cancel",
+                        confirmDiscard: function () {
+                            return false;
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    instance.handle("blur");
+
+                    expect(instance.state).to.equal("editing");
+                    destroyInstance(instance);
+                });
+            });
+
+            describe("with validate", function () {
+                it("should remain in 'editing' when invalid", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        validate: function () {
+                            return { title: "required" };
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+
+                    trigger(instance.form, "submit");
+
+                    expect(instance.state).to.equal("editing");
+                    expect(instance.form.querySelector(".inlineedit-error")).to.be.ok();
+                    destroyInstance(instance);
+                });
+
+                it("should emit an 'invalid' event with the errors", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        validate: function () {
+                            return { title: "required" };
+                        }
+                    });
+
+                    instance.on("invalid", function (errors) {
+                        expect(errors).to.eql({ title: "required" });
+                        destroyInstance(instance);
+                        done();
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+
+                    trigger(instance.form, "submit");
+                });
+
+                it("should announce the errors", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        validate: function () {
+                            return { 0: "too long" };
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    trigger(instance.form, "submit");
+                    expect(text(instance.status)).to.equal("too long");
+                    destroyInstance(instance);
+                });
+
+                it("should describe the field with its error", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        validate: function (val) {
+                            return val ? null : { 0: "required" };
+                        }
+                    });
+
+                    var input = instance.form.elements[0];
+                    input.value = "";
+                    trigger(instance.form, "submit");
+
+                    var id = input.getAttribute("aria-describedby");
+                    expect(text(document.getElementById(id)))
+                        .to.equal("required");
+                    expect(input.getAttribute("aria-invalid")).to.equal("true");
+
+                    input.value = "Foo Bar Baz";
+                    instance.renderErrors(null, instance.form);
+                    expect(input.hasAttribute("aria-describedby")).to.be(false);
+                    expect(input.hasAttribute("aria-invalid")).to.be(false);
+                    destroyInstance(instance);
+                });
+
+                it("should pass the processed value and form", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        validate: function (val, form) {
+                            expect(val).to.equal("Foo Bar Baz");
+                            expect(form).to.equal(instance.form);
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+
+                    trigger(instance.form, "submit");
+                    destroyInstance(instance);
+                });
+
+                it("should support a callback", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        validate: function (val, form, done) {
+                            nextTick(function () {
+                                done(null, { title: "required" });
+                            });
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+
+                    trigger(instance.form, "submit");
+                    expect(instance.state).to.equal("editing");
+
+                    instance.on("invalid", function () {
+                        destroyInstance(instance);
+                        done();
+                    });
+                });
+
+                it("should support a thenable", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        submitForm: function (val, done) {
+                            setTimeout(done, 10);
+                        },
+                        validate: function () {
+                            return {
+                                then: function (resolve) {
+                                    nextTick(function () {
+                                        resolve(null);
+                                    });
+                                }
+                            };
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+
+                    trigger(instance.form, "submit");
+                    expect(instance.state).to.equal("editing");
+
+                    nextTick(function () {
+                        expect(instance.state).to.equal("saving");
+                        destroyInstance(instance);
+                        done();
+                    });
+                });
+
+                it("should clear the errors on cancel", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        validate: function () {
+                            return { title: "required" };
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+
+                    trigger(instance.form, "submit");
+                    trigger(instance.form.querySelector(".inlineedit-cancel"), "click");
+
+                    expect(instance.form.querySelector(".inlineedit-error")).to.not.be.ok();
+                    destroyInstance(instance);
+                });
+
+                it("should ignore a result that arrives after cancelling", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        validate: function (val, form, done) {
+                            nextTick(done);
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+
+                    trigger(instance.form, "submit");
+                    trigger(instance.form.querySelector(".inlineedit-cancel"), "click");
+                    trigger(instance.element, "click");
+
+                    nextTick(function () {
+                        expect(instance.state).to.equal("editing");
+                        destroyInstance(instance);
+                        done();
+                    });
+                });
+            });
+
+            describe("with blurAction", function () {
+                var outside = domify("<input>");
+
+                before(function () {
+                    document.body.appendChild(outside);
+                });
+
+                after(function () {
+                    document.body.removeChild(outside);
+                });
+
+                it("should transition to 'saving' when focus leaves the form (submit)", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        blurAction: "submit",
+                        submitForm: function (val, done) {
+                            setTimeout(done, 10);
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    outside.focus();
+
+                    setTimeout(function () {
+                        expect(instance.state).to.equal("saving");
+                        destroyInstance(instance);
+                        done();
+                    }, 0);
+                });
+
+                it("should transition to 'ready' when focus leaves the form (cancel)", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        blurAction: "cancel"
+                    });
+
+                    outside.focus();
+
+                    setTimeout(function () {
+                        expect(instance.state).to.equal("ready");
+                        destroyInstance(instance);
+                        done();
+                    }, 0);
+                });
+
+                it("should remain in 'editing' when focus leaves the form (none)", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing"
+                    });
+
+                    outside.focus();
+
+                    setTimeout(function () {
+                        expect(instance.state).to.equal("editing");
+                        destroyInstance(instance);
+                        done();
+                    }, 0);
+                });
+
+                it("should ignore focus moving within the form", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        blurAction: "cancel"
+                    });
+
+                    instance.form.querySelector("button").focus();
+
+                    setTimeout(function () {
+                        expect(instance.state).to.equal("editing");
+                        destroyInstance(instance);
+                        done();
+                    }, 0);
+                });
+            });
+
+            it("should only display the form", function () {
+                var instance = createInstance({
+                    initialState: "editing"
+                });
+
+                expect(instance.element.parentNode).to.not.be.ok();
+                expect(instance.spinner.parentNode).to.not.be.ok();
+                expect(instance.form.parentNode).to.equal(instance.container);
+
+                destroyInstance(instance);
+            });
+        });
+
+        describe("saving", function () {
+            it("should transition to 'ready' on success (default)", function (done) {
+                var instance = createInstance({
+                    initialState: "saving"
+                });
+
+                nextTick(function () {
+                    expect(instance.state).to.equal("ready");
+                    destroyInstance(instance);
+                    done();
                 });
             });
 
@@ -411,6 +1252,85 @@ describe("InlineEdit(settings)", function () {
                 });
             });
 
+            it("should mark the container as busy", function (done) {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done) {
+                        var busy = this.container.getAttribute("aria-busy");
+                        expect(busy).to.equal("true");
+                        nextTick(done);
+                    }
+                });
+
+                instance.on("saved", function () {
+                    nextTick(function () {
+                        expect(instance.container.hasAttribute("aria-busy"))
+                            .to.be(false);
+                        destroyInstance(instance);
+                        done();
+                    });
+                });
+            });
+
+            it("should announce the progress of saving", function (done) {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done) {
+                        expect(text(this.status)).to.equal("Saving…");
+                        nextTick(done);
+                    }
+                });
+
+                instance.on("saved", function () {
+                    expect(text(instance.status)).to.equal("Saved");
+                    destroyInstance(instance);
+                    done();
+                });
+            });
+
+            it("should announce errors", function (done) {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done) {
+                        nextTick(function () {
+                            done(new Error("testing"));
+                        });
+                    }
+                });
+
+                instance.on("error", function () {
+                    expect(text(instance.status)).to.equal("testing");
+                    destroyInstance(instance);
+                    done();
+                });
+            });
+
+            it("should move focus to the spinner", function () {
+                var instance = createInstance({
+                    submitForm: function () {}
+                });
+
+                instance.handle("click");
+                instance.form.elements[0].value = "Foo Bar Baz";
+                instance.form.elements[0].focus();
+                instance.handle("submit");
+
+                expect(document.activeElement).to.equal(instance.spinner);
+                destroyInstance(instance);
+            });
+
+            it("should return focus to the element when done", function () {
+                var instance = createInstance();
+
+                instance.handle("click");
+                instance.form.elements[0].value = "Foo Bar Baz";
+                instance.form.elements[0].focus();
+                instance.handle("submit");
+
+                expect(document.activeElement).to.equal(instance.element);
+                destroyInstance(instance);
+            });
+
             it("should only display the spinner", function () {
                 var instance = createInstance({
                     initialState: "saving",
@@ -441,20 +1361,369 @@ describe("InlineEdit(settings)", function () {
                 });
             });
 
-            it("should use a custom value if passed", function (done) {
+            it("should display the error message in the form on failure", function () {
                 var instance = createInstance({
-                    initialState: "editing",
+                    initialState: "saving",
                     submitForm: function (val, done) {
-                        done(null, "Hello World");
+                        done(new Error("testing"));
+                    }
+                });
+
+                expect(instance.state).to.equal("editing");
+                expect(text(instance.error)).to.equal("testing");
+                destroyInstance(instance);
+            });
+
+            it("should keep the submitted value in the form on failure", function () {
+                var instance = createInstance({
+                    submitForm: function (val, done) {
+                        done(new Error("testing"));
                     }
                 });
 
+                trigger(instance.element, "click");
                 instance.form.elements[0].value = "Foo Bar Baz";
                 trigger(instance.form, "submit");
 
-                nextTick(function () {
-                    expect(instance.value).to.equal("Hello World");
-                    destroyInstance(instance);
+                expect(instance.state).to.equal("editing");
+                expect(instance.form.elements[0].value).to.equal("Foo Bar Baz");
+                expect(instance.value).to.equal("Hello World");
+                destroyInstance(instance);
+            });
+
+            it("should describe the input with the error", function () {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done) {
+                        done(new Error("testing"));
+                    }
+                });
+
+                var input = instance.form.elements[0];
+                expect(input.getAttribute("aria-describedby"))
+                    .to.equal(instance.error.id);
+
+                instance.handle("cancel");
+                expect(input.hasAttribute("aria-describedby")).to.be(false);
+                destroyInstance(instance);
+            });
+
+            it("should render field errors from the error", function () {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done) {
+                        var err = new Error("testing");
+                        err.errors = { 0: "too long" };
+                        done(err);
+                    }
+                });
+
+                var input = instance.form.elements[0];
+                expect(text(input.nextSibling)).to.equal("too long");
+                destroyInstance(instance);
+            });
+
+            it("should clear the error message on the next submit", function () {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done) {
+                        if (instance) return;
+                        done(new Error("testing"));
+                    }
+                });
+
+                trigger(instance.form, "submit");
+
+                expect(text(instance.error)).to.equal("");
+                destroyInstance(instance);
+            });
+
+            it("should clear the error message on cancel", function () {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done) {
+                        done(new Error("testing"));
+                    }
+                });
+
+                trigger(instance.form.querySelector(".inlineedit-cancel"), "click");
+
+                expect(text(instance.error)).to.equal("");
+                destroyInstance(instance);
+            });
+
+            it("should support a thenable on success", function (done) {
+                var instance = createInstance({
+                    initialState: "editing",
+                    submitForm: function () {
+                        return {
+                            then: function (resolve) {
+                                nextTick(function () {
+                                    resolve("Hello World");
+                                });
+                            }
+                        };
+                    }
+                });
+
+                instance.form.elements[0].value = "Foo Bar Baz";
+                trigger(instance.form, "submit");
+
+                instance.on("saved", function () {
+                    expect(instance.value).to.equal("Hello World");
+                    destroyInstance(instance);
+                    done();
+                });
+            });
+
+            it("should support a thenable on failure", function (done) {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function () {
+                        return {
+                            then: function (resolve, reject) {
+                                nextTick(function () {
+                                    reject(new Error("testing"));
+                                });
+                            }
+                        };
+                    }
+                });
+
+                instance.on("error", function (err) {
+                    expect(err.message).to.equal("testing");
+                    nextTick(function () {
+                        expect(instance.state).to.equal("editing");
+                        destroyInstance(instance);
+                        done();
+                    });
+                });
+            });
+
+            it("should pass a context object", function () {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done, context) {
+                        expect(context).to.be.an("object");
+                        if (window.AbortController) {
+                            expect(context.signal.aborted).to.be(false);
+                        }
+                        done();
+                    }
+                });
+
+                destroyInstance(instance);
+            });
+
+            it("should trigger the signal on destroy", function () {
+                if (!window.AbortController) return;
+
+                var signal;
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitForm: function (val, done, context) {
+                        signal = context.signal;
+                    }
+                });
+
+                destroyInstance(instance);
+                expect(signal.aborted).to.be(true);
+            });
+
+            it("should emit an 'error' event when the submitTimeout runs out", function (done) {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitTimeout: 10,
+                    submitForm: function () {}
+                });
+
+                instance.on("error", function (err) {
+                    expect(err.timeout).to.be(true);
+                    expect(err.message).to.equal("submit timed out after 10ms");
+                    nextTick(function () {
+                        expect(instance.state).to.equal("editing");
+                        destroyInstance(instance);
+                        done();
+                    });
+                });
+            });
+
+            it("should ignore a result that arrives after the timeout", function (done) {
+                var instance = createInstance({
+                    initialState: "saving",
+                    submitTimeout: 10,
+                    submitForm: function (val, done) {
+                        setTimeout(done, 20);
+                    }
+                });
+
+                setTimeout(function () {
+                    expect(instance.state).to.equal("editing");
+                    destroyInstance(instance);
+                    done();
+                }, 30);
+            });
+
+            describe("cancel", function () {
+                var spinner = "<div>Saving&hellip; <button type=\"button\" class=\"inlineedit-cancel\">Cancel</button></div>";
+
+                it("should transition to 'editing' from the spinner's cancel button", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        spinnerElement: spinner,
+                        submitForm: function () {}
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    trigger(instance.form, "submit");
+                    trigger(instance.spinner.querySelector(".inlineedit-cancel"), "click");
+
+                    expect(instance.state).to.equal("editing");
+                    expect(instance.form.elements[0].value).to.equal("Foo Bar Baz");
+                    destroyInstance(instance);
+                });
+
+                it("should transition to the abortState", function () {
+                    var instance = createInstance({
+                        initialState: "saving",
+                        abortState: "ready",
+                        submitForm: function () {}
+                    });
+
+                    instance.handle("cancel");
+
+                    expect(instance.state).to.equal("ready");
+                    destroyInstance(instance);
+                });
+
+                it("should emit an 'aborted' event", function (done) {
+                    var instance = createInstance({
+                        initialState: "saving",
+                        submitForm: function () {}
+                    });
+
+                    instance.on("aborted", function () {
+                        destroyInstance(instance);
+                        done();
+                    });
+
+                    instance.handle("cancel");
+                });
+
+                it("should ignore the late result", function (done) {
+                    var instance = createInstance({
+                        initialState: "saving",
+                        abortState: "ready",
+                        submitForm: function (val, done) {
+                            nextTick(function () {
+                                done(null, "Foo Bar Baz");
+                            });
+                        }
+                    });
+
+                    instance.handle("cancel");
+
+                    nextTick(function () {
+                        expect(instance.value).to.equal("Hello World");
+                        destroyInstance(instance);
+                        done();
+                    });
+                });
+            });
+
+            describe("with optimistic", function () {
+                it("should display the new value right away", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        optimistic: true,
+                        submitForm: function () {}
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    trigger(instance.form, "submit");
+
+                    expect(instance.state).to.equal("saving");
+                    expect(instance.element.parentNode).to.equal(instance.container);
+                    expect(text(instance.element)).to.equal("Foo Bar Baz");
+                    expect(instance.container.className).to.contain("inlineedit-pending");
+                    destroyInstance(instance);
+                });
+
+                it("should commit the value on success", function (done) {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        optimistic: true,
+                        submitForm: function (val, done) {
+                            nextTick(done);
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    trigger(instance.form, "submit");
+
+                    instance.on("saved", function () {
+                        nextTick(function () {
+                            expect(instance.state).to.equal("ready");
+                            expect(instance.value).to.equal("Foo Bar Baz");
+                            expect(instance.container.className).to.not.contain("inlineedit-pending");
+                            destroyInstance(instance);
+                            done();
+                        });
+                    });
+                });
+
+                it("should restore the previous value on failure", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        optimistic: true,
+                        submitForm: function (val, done) {
+                            done(new Error("testing"));
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    trigger(instance.form, "submit");
+
+                    expect(instance.state).to.equal("ready");
+                    expect(instance.value).to.equal("Hello World");
+                    expect(text(instance.element)).to.equal("Hello World");
+                    destroyInstance(instance);
+                });
+
+                it("should reopen the form with the rejected input (reopenOnError)", function () {
+                    var instance = createInstance({
+                        initialState: "editing",
+                        optimistic: true,
+                        reopenOnError: true,
+                        submitForm: function (val, done) {
+                            done(new Error("testing"));
+                        }
+                    });
+
+                    instance.form.elements[0].value = "Foo Bar Baz";
+                    trigger(instance.form, "submit");
+
+                    expect(instance.state).to.equal("editing");
+                    expect(instance.form.elements[0].value).to.equal("Foo Bar Baz");
+                    expect(text(instance.element)).to.equal("Hello World");
+                    destroyInstance(instance);
+                });
+            });
+
+            it("should use a custom value if passed", function (done) {
+                var instance = createInstance({
+                    initialState: "editing",
+                    submitForm: function (val, done) {
+                        done(null, "Hello World");
+                    }
+                });
+
+                instance.form.elements[0].value = "Foo Bar Baz";
+                trigger(instance.form, "submit");
+
+                nextTick(function () {
+                    expect(instance.value).to.equal("Hello World");
+                    destroyInstance(instance);
                     done();
                 });
             });
@@ -462,15 +1731,2513 @@ describe("InlineEdit(settings)", function () {
     });
 });
 
+describe("programmatic control", function () {
+    it("should open the form via edit()", function (done) {
+        var instance = createInstance();
+
+        instance.edit().then(function (val) {
+            expect(instance.state).to.equal("editing");
+            expect(val).to.equal("Hello World");
+            destroyInstance(instance);
+            done();
+        });
+    });
+
+    it("should cancel via cancel()", function (done) {
+        var instance = createInstance();
+
+        instance.edit();
+        instance.form.elements[0].value = "Foo Bar Baz";
+        instance.cancel().then(function (val) {
+            expect(instance.state).to.equal("ready");
+            expect(val).to.equal("Hello World");
+            destroyInstance(instance);
+            done();
+        });
+    });
+
+    it("should resolve submit() once saved", function (done) {
+        var instance = createInstance({
+            submitForm: function (val, done) {
+                setTimeout(done, 5);
+            }
+        });
+
+        instance.edit();
+        instance.form.elements[0].value = "Foo Bar Baz";
+        instance.submit().then(function (val) {
+            expect(instance.state).to.equal("ready");
+            expect(val).to.equal("Foo Bar Baz");
+            destroyInstance(instance);
+            done();
+        });
+    });
+
+    it("should resolve submit() after async validation fails", function (done) {
+        var instance = createInstance({
+            validate: function (val, form, done) {
+                setTimeout(function () {
+                    done(null, { 0: "invalid" });
+                }, 5);
+            }
+        });
+
+        instance.edit();
+        instance.form.elements[0].value = "Foo Bar Baz";
+        instance.submit().then(function () {
+            expect(instance.state).to.equal("editing");
+            expect(instance.isBusy()).to.be(false);
+            destroyInstance(instance);
+            done();
+        });
+    });
+
+    it("should resolve submit() once a failed save settles", function (done) {
+        var instance = createInstance({
+            submitForm: function (val, done) {
+                setTimeout(function () {
+                    done(new Error("testing"));
+                }, 5);
+            }
+        });
+
+        instance.edit();
+        instance.form.elements[0].value = "Foo Bar Baz";
+        instance.submit().then(function (val) {
+            expect(instance.state).to.equal("editing");
+            expect(val).to.equal("Hello World");
+            destroyInstance(instance);
+            done();
+        });
+    });
+
+    it("should render the value via setValue()", function (done) {
+        var changed;
+        var instance = createInstance();
+
+        instance.on("change", function (data) {
+            changed = data;
+        });
+
+        instance.setValue("Foo Bar Baz").then(function (val) {
+            expect(val).to.equal("Foo Bar Baz");
+            expect(instance.getValue()).to.equal("Foo Bar Baz");
+            expect(text(instance.element)).to.equal("Foo Bar Baz");
+            expect(changed.previousValue).to.equal("Hello World");
+            destroyInstance(instance);
+            done();
+        });
+    });
+
+    it("should not emit change for a silent setValue()", function () {
+        var changed = false;
+        var instance = createInstance();
+
+        instance.on("change", function () {
+            changed = true;
+        });
+
+        instance.setValue("Foo Bar Baz", { silent: true });
+        expect(changed).to.be(false);
+        expect(instance.getValue()).to.equal("Foo Bar Baz");
+        destroyInstance(instance);
+    });
+    it("should not emit change when setValue() keeps the same value", function () {
+        var changed = false;
+        var instance = createInstance();
+
+        instance.on("change", function () {
+            changed = true;
+        });
+
+        instance.setValue("Hello World");
+        expect(changed).to.be(false);
+        destroyInstance(instance);
+    });
+});
+
+describe("disabling", function () {
+    it("should not start editing while disabled", function () {
+        var instance = createInstance({ disabled: true });
+
+        trigger(instance.element, "click");
+        expect(instance.state).to.equal("ready");
+        destroyInstance(instance);
+    });
+
+    it("should check a disabled function on each click", function () {
+        var locked = true;
+        var instance = createInstance({
+            disabled: function () {
+                return locked;
+            }
+        });
+
+        trigger(instance.element, "click");
+        expect(instance.state).to.equal("ready");
+
+        locked = false;
+        trigger(instance.element, "click");
+        expect(instance.state).to.equal("editing");
+        destroyInstance(instance);
+    });
+
+    it("should mark the container and element while disabled", function () {
+        var instance = createInstance();
+
+        instance.disable();
+        expect(instance.container.className).to.contain("inlineedit-disabled");
+        expect(instance.element.getAttribute("aria-disabled")).to.equal("true");
+
+        instance.enable();
+        expect(instance.container.className).to.not.contain("inlineedit-disabled");
+        expect(instance.element.hasAttribute("aria-disabled")).to.be(false);
+        destroyInstance(instance);
+    });
+
+    it("should allow editing again once enabled", function () {
+        var instance = createInstance({ disabled: true });
+
+        instance.enable();
+        trigger(instance.element, "click");
+        expect(instance.state).to.equal("editing");
+        destroyInstance(instance);
+    });
+
+    it("should close the form when disabled while editing", function () {
+        var cancelled = false;
+        var instance = createInstance({
+            confirmDiscard: function () {
+                return false;
+            }
+        });
+
+        instance.on("cancel", function () {
+            cancelled = true;
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Foo Bar Baz";
+        instance.disable();
+
+        expect(instance.state).to.equal("ready");
+        expect(text(instance.element)).to.equal("Hello World");
+        expect(cancelled).to.be(true);
+        destroyInstance(instance);
+    });
+
+    it("should close the conflict form when disabled", function () {
+        var cancelled = false;
+        var instance = createInstance({
+            element: domify("<div data-version=\"1\">Hello World</div>"),
+            submitForm: function (val, done) {
+                var err = new Error("conflict");
+                err.conflict = true;
+                err.value = "Theirs";
+                err.version = "2";
+                done(err);
+            }
+        });
+
+        instance.on("cancel", function () {
+            cancelled = true;
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Mine";
+        trigger(instance.form, "submit");
+        expect(instance.state).to.equal("conflict");
+
+        instance.disable();
+        expect(instance.state).to.equal("ready");
+        expect(text(instance.element)).to.equal("Theirs");
+        expect(cancelled).to.be(true);
+        destroyInstance(instance);
+    });
+
+    it("should update the markings of a disabled function", function () {
+        var locked = false;
+        var instance = createInstance({
+            disabled: function () {
+                return locked;
+            }
+        });
+
+        locked = true;
+        trigger(instance.element, "click");
+        expect(instance.container.className).to.contain("inlineedit-disabled");
+        expect(instance.element.getAttribute("aria-disabled")).to.equal("true");
+
+        locked = false;
+        trigger(instance.element, "click");
+        expect(instance.container.className).to.not.contain("inlineedit-disabled");
+        expect(instance.state).to.equal("editing");
+        destroyInstance(instance);
+    });
+
+    it("should not undo while disabled", function (done) {
+        var instance = createInstance();
+
+        instance.on("saved", function () {
+            nextTick(function () {
+                instance.disable();
+                expect(instance.undo()).to.be(false);
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+    });
+
+    it("should remove the markings when destroyed", function () {
+        var instance = createInstance({ disabled: true });
+        var container = instance.container;
+
+        destroyInstance(instance);
+        expect(container.className).to.not.contain("inlineedit-disabled");
+        expect(instance.element.hasAttribute("aria-disabled")).to.be(false);
+    });
+});
+
+describe("lifecycle events", function () {
+    function record(instance, names) {
+        var log = [];
+
+        names.forEach(function (name) {
+            instance.on(name, function (data) {
+                log.push([ name, data.value, data.previousValue ]);
+                expect(data.instance).to.equal(instance);
+            });
+        });
+
+        return log;
+    }
+
+    it("should emit edit, submit, saving and saved", function (done) {
+        var instance = createInstance();
+        var log = record(instance, [ "edit", "submit", "saving", "saved" ]);
+
+        instance.on("saved", function () {
+            nextTick(function () {
+                expect(log).to.eql([
+                    [ "edit", "Hello World", "Hello World" ],
+                    [ "submit", "Foo Bar Baz", "Hello World" ],
+                    [ "saving", "Foo Bar Baz", "Hello World" ],
+                    [ "saved", "Foo Bar Baz", "Hello World" ]
+                ]);
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+    });
+
+    it("should emit cancel", function () {
+        var instance = createInstance();
+        var log = record(instance, [ "cancel" ]);
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Foo Bar Baz";
+        instance.handle("cancel");
+
+        expect(log).to.eql([ [ "cancel", "Foo Bar Baz", "Hello World" ] ]);
+        destroyInstance(instance);
+    });
+
+    it("should emit error with the data", function () {
+        var args;
+        var instance = createInstance({
+            submitForm: function (val, done) {
+                done(new Error("testing"));
+            }
+        });
+
+        instance.on("error", function (err, data) {
+            args = [ err.message, data.value, data.previousValue ];
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+
+        expect(args).to.eql([ "testing", "Foo Bar Baz", "Hello World" ]);
+        destroyInstance(instance);
+    });
+
+    it("should emit destroy", function () {
+        var instance = createInstance();
+        var log = record(instance, [ "destroy" ]);
+
+        destroyInstance(instance);
+        expect(log).to.eql([ [ "destroy", "Hello World", "Hello World" ] ]);
+    });
+
+    describe("#beforeEdit(data)", function () {
+        it("should veto editing by returning false", function () {
+            var instance = createInstance({
+                beforeEdit: function () {
+                    return false;
+                }
+            });
+
+            trigger(instance.element, "click");
+            expect(instance.state).to.equal("ready");
+            destroyInstance(instance);
+        });
+
+        it("should change the value that is edited", function () {
+            var instance = createInstance({
+                beforeEdit: function (data) {
+                    data.value = data.value.toUpperCase();
+                }
+            });
+
+            trigger(instance.element, "click");
+            expect(instance.form.elements[0].value).to.equal("HELLO WORLD");
+            destroyInstance(instance);
+        });
+    });
+
+    describe("#beforeSubmit(data)", function () {
+        it("should veto the submission by returning false", function () {
+            var instance = createInstance({
+                beforeSubmit: function () {
+                    return false;
+                }
+            });
+
+            trigger(instance.element, "click");
+            instance.form.elements[0].value = "Foo Bar Baz";
+            trigger(instance.form, "submit");
+            expect(instance.state).to.equal("editing");
+            destroyInstance(instance);
+        });
+
+        it("should change the value that is saved", function (done) {
+            var instance = createInstance({
+                beforeSubmit: function (data) {
+                    data.value = data.value.toUpperCase();
+                },
+                submitForm: function (val, done) {
+                    expect(val).to.equal("FOO BAR BAZ");
+                    done();
+                }
+            });
+
+            instance.on("saved", function (data) {
+                expect(data.value).to.equal("FOO BAR BAZ");
+                nextTick(function () {
+                    destroyInstance(instance);
+                    done();
+                });
+            });
+
+            trigger(instance.element, "click");
+            instance.form.elements[0].value = "Foo Bar Baz";
+            trigger(instance.form, "submit");
+        });
+    });
+
+    describe("#beforeCancel(data)", function () {
+        it("should veto the cancel by returning false", function () {
+            var instance = createInstance({
+                beforeCancel: function (data) {
+                    return data.value === data.previousValue;
+                }
+            });
+
+            trigger(instance.element, "click");
+            instance.form.elements[0].value = "Foo Bar Baz";
+            instance.handle("cancel");
+            expect(instance.state).to.equal("editing");
+
+            instance.form.elements[0].value = "Hello World";
+            instance.handle("cancel");
+            expect(instance.state).to.equal("ready");
+            destroyInstance(instance);
+        });
+    });
+});
+
+describe("retries", function () {
+    function failing(times) {
+        var calls = 0;
+
+        return function (val, done) {
+            calls += 1;
+            if (calls <= times) return done(new Error("attempt " + calls));
+            done();
+        };
+    }
+
+    function save(instance) {
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+    }
+
+    it("should retry a failed submission", function (done) {
+        var attempts = [];
+        var instance = createInstance({
+            retryAttempts: 2,
+            retryDelay: 1,
+            submitForm: failing(2)
+        });
+
+        instance.on("retry", function (err, attempt) {
+            expect(instance.state).to.equal("saving");
+            attempts.push(attempt);
+        });
+
+        instance.on("saved", function () {
+            expect(attempts).to.eql([ 1, 2 ]);
+            nextTick(function () {
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        save(instance);
+    });
+
+    it("should give up after retryAttempts", function (done) {
+        var instance = createInstance({
+            retryAttempts: 1,
+            retryDelay: 1,
+            submitForm: failing(2)
+        });
+
+        instance.on("error", function (err) {
+            expect(err.message).to.equal("attempt 2");
+            nextTick(function () {
+                expect(instance.state).to.equal("editing");
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        save(instance);
+    });
+
+    it("should not retry errors that are not retryable", function () {
+        var instance = createInstance({
+            retryAttempts: 2,
+            retryDelay: 1,
+            isRetryable: function () {
+                return false;
+            },
+            submitForm: failing(1)
+        });
+
+        save(instance);
+        expect(instance.state).to.equal("editing");
+        destroyInstance(instance);
+    });
+
+    it("should stop retrying when cancelled", function (done) {
+        var calls = 0;
+        var instance = createInstance({
+            retryAttempts: 2,
+            retryDelay: 1,
+            submitForm: function (val, done) {
+                calls += 1;
+                done(new Error("testing"));
+            }
+        });
+
+        save(instance);
+        instance.handle("cancel");
+
+        setTimeout(function () {
+            expect(calls).to.equal(1);
+            expect(instance.state).to.equal("editing");
+            expect(instance.form.elements[0].value).to.equal("Foo Bar Baz");
+            destroyInstance(instance);
+            done();
+        }, 10);
+    });
+
+    it("should ignore a timed out attempt that fails later", function (done) {
+        var attempts = [];
+        var calls = 0;
+        var instance = createInstance({
+            submitTimeout: 5,
+            retryAttempts: 2,
+            retryDelay: 30,
+            submitForm: function () {
+                calls += 1;
+                if (calls > 2) return InlineEdit.Promise.resolve();
+
+                // rejects after timing out, while the retry is waiting
+                return new InlineEdit.Promise(function (resolve, reject) {
+                    setTimeout(function () {
+                        reject(new Error("aborted"));
+                    }, 10);
+                });
+            }
+        });
+
+        instance.on("retry", function (err, attempt) {
+            attempts.push(attempt);
+        });
+
+        instance.on("saved", function () {
+            expect(attempts).to.eql([ 1, 2 ]);
+            expect(calls).to.equal(3);
+            nextTick(function () {
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        save(instance);
+    });
+
+    it("should double the delay for each retry", function (done) {
+        var times = [];
+        var instance = createInstance({
+            retryAttempts: 2,
+            retryDelay: 20,
+            submitForm: function (val, done) {
+                times.push(Date.now());
+                if (times.length < 3) return done(new Error("testing"));
+                done();
+            }
+        });
+
+        instance.on("saved", function () {
+            expect(times[2] - times[1]).to.be.greaterThan(35);
+            nextTick(function () {
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        save(instance);
+    });
+});
+
+describe("InlineEdit.queue(options)", function () {
+    var online, storage;
+
+    function createStorage() {
+        var data = {};
+
+        return {
+            getItem: function (key) {
+                return key in data ? data[key] : null;
+            },
+            setItem: function (key, val) {
+                data[key] = val;
+            }
+        };
+    }
+
+    function createQueue() {
+        var queue = InlineEdit.queue({ storage: storage });
+        queue.online = function () {
+            return online;
+        };
+        return queue;
+    }
+
+    function save(instance, val) {
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = val;
+        trigger(instance.form, "submit");
+    }
+
+    beforeEach(function () {
+        online = true;
+        storage = createStorage();
+    });
+
+    it("should queue saves made while offline", function () {
+        var submitted = false;
+        var queued;
+        var queue = createQueue();
+        var instance = createInstance({
+            name: "title",
+            version: "1",
+            queue: queue,
+            submitForm: function () {
+                submitted = true;
+            }
+        });
+
+        instance.on("queued", function (val) {
+            queued = val;
+        });
+
+        online = false;
+        save(instance, "Foo Bar Baz");
+
+        expect(submitted).to.be(false);
+        expect(queued).to.equal("Foo Bar Baz");
+        expect(instance.state).to.equal("ready");
+        expect(text(instance.element)).to.equal("Foo Bar Baz");
+        expect(queue.entries()).to.eql([
+            { name: "title", value: "Foo Bar Baz", version: "1" }
+        ]);
+
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should only keep the latest value for each instance", function () {
+        var queue = createQueue();
+        var instance = createInstance({ name: "title", queue: queue });
+
+        online = false;
+        save(instance, "Foo");
+        save(instance, "Bar");
+
+        expect(queue.entries()).to.have.length(1);
+        expect(queue.entries()[0].value).to.equal("Bar");
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should submit the saves of unnamed instances right away", function () {
+        var submitted = [];
+        var queue = createQueue();
+        var a = createInstance({
+            queue: queue,
+            submitForm: function (val) {
+                submitted.push(val);
+            }
+        });
+        var b = createInstance({
+            queue: queue,
+            submitForm: function (val) {
+                submitted.push(val);
+            }
+        });
+
+        online = false;
+        save(a, "Foo");
+        save(b, "Bar");
+
+        expect(queue.has(a)).to.be(false);
+        expect(queue.has(b)).to.be(false);
+        expect(submitted).to.eql([ "Foo", "Bar" ]);
+        expect(queue.entries()).to.have.length(0);
+        destroyInstance(a);
+        destroyInstance(b);
+        queue.destroy();
+    });
+
+    it("should not add a second instance with the same name", function () {
+        var submitted = [];
+        var queue = createQueue();
+        var a = createInstance({ name: "title", queue: queue });
+        var b = createInstance({
+            name: "title",
+            queue: queue,
+            submitForm: function (val) {
+                submitted.push(val);
+            }
+        });
+
+        online = false;
+        save(a, "Foo");
+        save(b, "Bar");
+
+        expect(queue.has(a)).to.be(true);
+        expect(queue.has(b)).to.be(false);
+        expect(submitted).to.eql([ "Bar" ]);
+        expect(queue.entries()).to.eql([
+            { name: "title", value: "Foo", version: null }
+        ]);
+        destroyInstance(a);
+        destroyInstance(b);
+        queue.destroy();
+    });
+
+    it("should submit the queued saves when flushed", function () {
+        var flushed;
+        var queue = createQueue();
+        var instance = createInstance({
+            name: "title",
+            version: "1",
+            queue: queue,
+            submitForm: function (val, done, context) {
+                expect(val).to.equal("Foo Bar Baz");
+                expect(context.version).to.equal("1");
+                done(null, val, { version: "2" });
+            }
+        });
+
+        instance.on("flushed", function (val) {
+            flushed = val;
+        });
+
+        online = false;
+        save(instance, "Foo Bar Baz");
+        online = true;
+        queue.flush();
+
+        expect(flushed).to.equal("Foo Bar Baz");
+        expect(instance.version).to.equal("2");
+        expect(queue.entries()).to.have.length(0);
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should leave failed saves in the queue", function () {
+        var queue = createQueue();
+        var instance = createInstance({
+            name: "title",
+            queue: queue,
+            submitForm: function (val, done) {
+                done(new Error("testing"));
+            }
+        });
+
+        online = false;
+        save(instance, "Foo Bar Baz");
+        online = true;
+        queue.flush();
+
+        expect(queue.entries()).to.have.length(1);
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should not resubmit saves that are still being sent", function () {
+        var calls = 0;
+        var queue = createQueue();
+        var instance = createInstance({
+            name: "title",
+            queue: queue,
+            submitForm: function () {
+                calls += 1;
+            }
+        });
+
+        online = false;
+        save(instance, "Foo Bar Baz");
+        online = true;
+        queue.flush();
+        queue.flush();
+        queue.flush();
+
+        expect(calls).to.equal(1);
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should drop saves that fail with a conflict", function () {
+        var errors = 0;
+        var queue = createQueue();
+        var instance = createInstance({
+            name: "title",
+            queue: queue,
+            submitForm: function (val, done) {
+                var err = new Error("conflict");
+                err.conflict = true;
+                done(err);
+            }
+        });
+
+        instance.on("error", function () {
+            errors += 1;
+        });
+
+        online = false;
+        save(instance, "Foo Bar Baz");
+        online = true;
+        queue.flush();
+        queue.flush();
+
+        expect(errors).to.equal(1);
+        expect(queue.entries()).to.have.length(0);
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should not flush while offline", function () {
+        var queue = createQueue();
+        var instance = createInstance({ name: "title", queue: queue });
+
+        online = false;
+        save(instance, "Foo Bar Baz");
+        queue.flush();
+
+        expect(queue.entries()).to.have.length(1);
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should flush saves left from before when added", function (done) {
+        storage.setItem("inlineedit-queue", JSON.stringify([
+            { name: "title", value: "Foo Bar Baz", version: null }
+        ]));
+
+        var queue = createQueue();
+        var instance = createInstance({ name: "title", queue: queue });
+
+        instance.on("flushed", function (val) {
+            expect(val).to.equal("Foo Bar Baz");
+            expect(text(instance.element)).to.equal("Foo Bar Baz");
+            destroyInstance(instance);
+            queue.destroy();
+            done();
+        });
+    });
+
+    it("should use the element's id as the name", function () {
+        var queue = createQueue();
+        var instance = createInstance({
+            element: domify("<div id=\"title\">Hello World</div>"),
+            queue: queue
+        });
+
+        online = false;
+        save(instance, "Foo Bar Baz");
+
+        expect(queue.entries()[0].name).to.equal("title");
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should revive typed values when flushed", function () {
+        var submitted;
+        var queue = createQueue();
+        var instance = createInstance({
+            Ctor: InlineEdit.Date,
+            element: domify("<time datetime=\"2014-01-01\">Jan 1</time>"),
+            name: "date",
+            queue: queue,
+            submitForm: function (val, done) {
+                submitted = val;
+                done();
+            }
+        });
+
+        online = false;
+        save(instance, "2014-06-15");
+        expect(queue.entries()[0].value).to.equal("2014-06-15");
+
+        online = true;
+        queue.flush();
+
+        expect(submitted).to.be.a(Date);
+        expect(submitted.toISOString()).to.equal("2014-06-15T00:00:00.000Z");
+        expect(instance.element.getAttribute("datetime")).to.equal("2014-06-15");
+        expect(queue.entries()).to.have.length(0);
+        destroyInstance(instance);
+        queue.destroy();
+    });
+
+    it("should not hold up the queue when a save throws", function () {
+        var calls = 0;
+        var queue = createQueue();
+        var instance = createInstance({
+            name: "title",
+            queue: queue,
+            submitForm: function (val, done) {
+                calls += 1;
+                if (calls === 1) throw new Error("failed");
+                done();
+            }
+        });
+
+        instance.on("error", function () {});
+
+        online = false;
+        save(instance, "Foo Bar Baz");
+        online = true;
+        queue.flush();
+
+        expect(queue.entries()).to.have.length(1);
+        expect(queue.sending).to.eql({});
+
+        queue.flush();
+        expect(calls).to.equal(2);
+        expect(queue.entries()).to.have.length(0);
+        destroyInstance(instance);
+        queue.destroy();
+    });
+});
+
+describe("conflicts", function () {
+    function conflictError(val, version) {
+        var err = new Error("conflict");
+        err.conflict = true;
+        err.value = val;
+        err.version = version;
+        return err;
+    }
+
+    function createConflict(o) {
+        if (!o) o = {};
+
+        o.element = domify("<div data-version=\"1\">Hello World</div>");
+        o.submitForm = o.submitForm || function (val, done, context) {
+            if (context.version === "1") {
+                done(conflictError("Theirs", "2"));
+            } else {
+                done(null, val, { version: "3" });
+            }
+        };
+
+        var instance = createInstance(o);
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Mine";
+        trigger(instance.form, "submit");
+        return instance;
+    }
+
+    function button(instance, val) {
+        return instance.conflict.querySelector("[value=" + val + "]");
+    }
+
+    it("should read the version from the element", function () {
+        var instance = createInstance({
+            element: domify("<div data-version=\"abc\">Hello World</div>")
+        });
+
+        expect(instance.version).to.equal("abc");
+        destroyInstance(instance);
+    });
+
+    it("should pass the version to submitForm", function (done) {
+        var instance = createInstance({
+            version: "abc",
+            submitForm: function (val, done, context) {
+                expect(context.version).to.equal("abc");
+                done(null, val, { version: "def" });
+            }
+        });
+
+        instance.on("saved", function () {
+            expect(instance.version).to.equal("def");
+            nextTick(function () {
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+    });
+
+    it("should transition to 'conflict' for a conflict error", function () {
+        var instance = createConflict();
+        var theirs = instance.conflict.querySelector(".inlineedit-theirs");
+
+        expect(instance.state).to.equal("conflict");
+        expect(instance.conflict.hasAttribute("hidden")).to.be(false);
+        expect(instance.form.parentNode).to.equal(instance.container);
+        expect(instance.form.elements[0].value).to.equal("Mine");
+        expect(text(theirs)).to.equal("Theirs");
+        destroyInstance(instance);
+    });
+
+    it("should emit a 'conflict' event", function () {
+        var data;
+        var instance = createInstance({
+            submitForm: function (val, done) {
+                done(conflictError("Theirs", "2"));
+            }
+        });
+
+        instance.on("conflict", function (val, version) {
+            data = [ val, version ];
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Mine";
+        trigger(instance.form, "submit");
+
+        expect(data).to.eql([ "Theirs", "2" ]);
+        destroyInstance(instance);
+    });
+
+    it("should resubmit the user's value when keeping it", function (done) {
+        var instance = createConflict();
+
+        instance.on("saved", function () {
+            expect(instance.value).to.equal("Mine");
+            expect(instance.version).to.equal("3");
+            nextTick(function () {
+                expect(instance.conflict.hasAttribute("hidden")).to.be(true);
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        trigger(button(instance, "keep"), "click");
+    });
+
+    it("should use the other value when taking it", function () {
+        var instance = createConflict();
+
+        trigger(button(instance, "take"), "click");
+        expect(instance.state).to.equal("ready");
+        expect(instance.value).to.equal("Theirs");
+        expect(instance.version).to.equal("2");
+        expect(text(instance.element)).to.equal("Theirs");
+        destroyInstance(instance);
+    });
+
+    it("should take the other value when cancelled", function () {
+        var instance = createConflict();
+
+        trigger(instance.form.querySelector(".inlineedit-cancel"), "click");
+        expect(instance.value).to.equal("Theirs");
+        destroyInstance(instance);
+    });
+
+    it("should return to editing with the merged value", function () {
+        var instance = createConflict({
+            merge: function (mine, theirs, base) {
+                return [ base, mine, theirs ].join(" / ");
+            }
+        });
+
+        trigger(button(instance, "merge"), "click");
+        expect(instance.state).to.equal("editing");
+        expect(instance.version).to.equal("2");
+        expect(instance.form.elements[0].value)
+            .to.equal("Hello World / Mine / Theirs");
+        destroyInstance(instance);
+    });
+});
+
+describe("InlineEdit({ model })", function () {
+    function createModel(val) {
+        var listeners = [];
+
+        return {
+            get: function () {
+                return val;
+            },
+            set: function (newVal) {
+                val = newVal;
+                listeners.forEach(function (fn) { fn(); });
+            },
+            subscribe: function (fn) {
+                listeners.push(fn);
+                return function () {
+                    listeners.splice(listeners.indexOf(fn), 1);
+                };
+            },
+            listeners: listeners
+        };
+    }
+
+    it("should read the value from the model", function () {
+        var instance = createInstance({ model: createModel("Foo Bar Baz") });
+        expect(instance.value).to.equal("Foo Bar Baz");
+        expect(text(instance.element)).to.equal("Foo Bar Baz");
+        destroyInstance(instance);
+    });
+
+    it("should re-render when the model changes while ready", function () {
+        var model = createModel("Hello World");
+        var instance = createInstance({ model: model });
+
+        model.set("Foo Bar Baz");
+        expect(instance.value).to.equal("Foo Bar Baz");
+        expect(text(instance.element)).to.equal("Foo Bar Baz");
+        destroyInstance(instance);
+    });
+
+    it("should flag the edit as stale when the model changes", function () {
+        var model = createModel("Hello World");
+        var instance = createInstance({ model: model });
+        var stale;
+
+        instance.on("stale", function (val) {
+            stale = val;
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Mine";
+        model.set("Theirs");
+
+        expect(stale).to.equal("Theirs");
+        expect(instance.container.className).to.contain("inlineedit-stale");
+        expect(instance.form.elements[0].value).to.equal("Mine");
+
+        trigger(instance.form.querySelector(".inlineedit-cancel"), "click");
+        expect(instance.container.className).to.not.contain("inlineedit-stale");
+        expect(text(instance.element)).to.equal("Theirs");
+        destroyInstance(instance);
+    });
+
+    it("should resolve a stale edit as a conflict on submit", function (done) {
+        var submitted = [];
+        var model = createModel("Hello World");
+        var instance = createInstance({
+            model: model,
+            submitForm: function (val, done) {
+                submitted.push(val);
+                done();
+            }
+        });
+
+        instance.on("conflict", function (val) {
+            expect(val).to.equal("Theirs");
+            expect(submitted).to.have.length(0);
+            expect(instance.form.elements[0].value).to.equal("Mine");
+            expect(instance.value).to.equal("Hello World");
+
+            nextTick(function () {
+                trigger(instance.conflict.querySelector("[value=keep]"), "click");
+            });
+        });
+
+        instance.on("saved", function () {
+            expect(submitted).to.eql([ "Mine" ]);
+            nextTick(function () {
+                expect(model.get()).to.equal("Mine");
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Mine";
+        model.set("Theirs");
+        trigger(instance.form, "submit");
+    });
+
+    it("should not overwrite the model with an untouched stale edit", function () {
+        var model = createModel("Hello World");
+        var instance = createInstance({
+            model: model,
+            submitForm: function () {
+                throw new Error("should not submit");
+            }
+        });
+
+        trigger(instance.element, "click");
+        model.set("Theirs");
+        trigger(instance.form, "submit");
+
+        expect(instance.state).to.equal("ready");
+        expect(text(instance.element)).to.equal("Theirs");
+        destroyInstance(instance);
+    });
+
+    it("should resolve a conflict against a newer model value", function () {
+        var model = createModel("Hello World");
+        var instance = createInstance({ model: model });
+        var theirs;
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Mine";
+        model.set("Theirs");
+        trigger(instance.form, "submit");
+        expect(instance.state).to.equal("conflict");
+
+        instance.on("conflict", function (val) {
+            theirs = val;
+        });
+
+        model.set("Newer");
+        expect(theirs).to.equal("Newer");
+        expect(text(instance.conflict.querySelector(".inlineedit-theirs")))
+            .to.equal("Newer");
+        expect(instance.form.elements[0].value).to.equal("Mine");
+
+        trigger(instance.conflict.querySelector("[value=take]"), "click");
+        expect(instance.state).to.equal("ready");
+        expect(model.get()).to.equal("Newer");
+        expect(text(instance.element)).to.equal("Newer");
+        destroyInstance(instance);
+    });
+
+    it("should write to the model after saving", function (done) {
+        var model = createModel("Hello World");
+        var instance = createInstance({ model: model });
+
+        instance.on("saved", function () {
+            expect(model.get()).to.equal("Foo Bar Baz");
+            nextTick(function () {
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        trigger(instance.element, "click");
+        instance.form.elements[0].value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+    });
+
+    it("should unsubscribe when destroyed", function () {
+        var model = createModel("Hello World");
+        var instance = createInstance({ model: model });
+
+        expect(model.listeners).to.have.length(1);
+        destroyInstance(instance);
+        expect(model.listeners).to.have.length(0);
+    });
+});
+
+describe("InlineEdit({ renderStrategy: \"toggle\" })", function () {
+    it("should keep every view in the container", function () {
+        var instance = createInstance({ renderStrategy: "toggle" });
+        var container = instance.container;
+
+        expect(instance.form.parentNode).to.equal(container);
+        expect(instance.spinner.parentNode).to.equal(container);
+        expect(instance.form.hasAttribute("hidden")).to.be(true);
+        expect(instance.spinner.hasAttribute("hidden")).to.be(true);
+
+        trigger(instance.element, "click");
+        expect(instance.element.parentNode).to.equal(container);
+        expect(instance.element.hasAttribute("hidden")).to.be(true);
+        expect(instance.form.hasAttribute("hidden")).to.be(false);
+        destroyInstance(instance);
+    });
+
+    it("should remove the hidden attribute when destroyed", function () {
+        var instance = createInstance({ renderStrategy: "toggle" });
+
+        trigger(instance.element, "click");
+        destroyInstance(instance);
+        expect(instance.element.hasAttribute("hidden")).to.be(false);
+    });
+});
+
+describe("state classes", function () {
+    it("should add a class for the current state", function (done) {
+        var instance = createInstance({
+            submitForm: function (val, done) {
+                expect(this.container.className)
+                    .to.contain("inlineedit-state-saving");
+                nextTick(done);
+            }
+        });
+
+        var container = instance.container;
+        expect(container.className).to.contain("inlineedit-state-ready");
+
+        trigger(instance.element, "click");
+        expect(container.className).to.contain("inlineedit-state-editing");
+        expect(container.className).to.not.contain("inlineedit-state-ready");
+
+        instance.on("saved", function () {
+            nextTick(function () {
+                expect(container.className)
+                    .to.contain("inlineedit-state-ready");
+                expect(container.className)
+                    .to.not.contain("inlineedit-state-saving");
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        instance.form.elements[0].value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+    });
+
+    it("should remove the class when destroyed", function () {
+        var instance = createInstance();
+        var container = instance.container;
+
+        destroyInstance(instance);
+        expect(container.className).to.not.contain("inlineedit-state");
+    });
+});
+
+describe("InlineEdit({ container })", function () {
+    function adopt(o) {
+        if (!o) o = {};
+
+        o.container = domify([
+            "<div class=\"server\">",
+            "<h1 class=\"inlineedit-content\">Hello World</h1>",
+            "<form class=\"inlineedit-form\" action=\"/title\" method=\"post\">",
+            "<input name=\"title\" value=\"Hello World\">",
+            "<button type=\"submit\">Save</button>",
+            "</form>",
+            "</div>"
+        ].join(""));
+
+        document.body.appendChild(o.container);
+        return new InlineEdit(o);
+    }
+
+    function release(instance) {
+        instance.destroy();
+        document.body.removeChild(instance.container);
+    }
+
+    it("should use the existing elements", function () {
+        var instance = adopt();
+        var container = instance.container;
+
+        expect(container.className).to.contain("server");
+        expect(instance.element.tagName).to.equal("H1");
+        expect(instance.form.getAttribute("action")).to.equal("/title");
+        expect(instance.interface.name).to.equal("title");
+        expect(instance.value).to.equal("Hello World");
+        release(instance);
+    });
+
+    it("should build the missing spinner and error elements", function () {
+        var instance = adopt();
+        expect(instance.spinner.parentNode).to.equal(instance.container);
+        expect(instance.error.parentNode).to.equal(instance.form);
+        release(instance);
+    });
+
+    it("should hide the other views instead of detaching them", function () {
+        var instance = adopt();
+
+        expect(instance.form.hasAttribute("hidden")).to.be(true);
+        expect(instance.spinner.hasAttribute("hidden")).to.be(true);
+
+        trigger(instance.element, "click");
+        expect(instance.element.hasAttribute("hidden")).to.be(true);
+        expect(instance.form.hasAttribute("hidden")).to.be(false);
+        expect(instance.element.parentNode).to.equal(instance.container);
+        expect(instance.interface.value).to.equal("Hello World");
+        release(instance);
+    });
+
+    it("should save via submitForm", function (done) {
+        var instance = adopt({
+            submitForm: function (val, done) {
+                expect(val).to.equal("Foo Bar Baz");
+                done();
+            }
+        });
+
+        instance.on("saved", function () {
+            nextTick(function () {
+                expect(text(instance.element)).to.equal("Foo Bar Baz");
+                expect(instance.element.hasAttribute("hidden")).to.be(false);
+                release(instance);
+                done();
+            });
+        });
+
+        trigger(instance.element, "click");
+        instance.interface.value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+    });
+
+    it("should edit the interface element, not the first input", function (done) {
+        var container = domify([
+            "<div>",
+            "<p class=\"inlineedit-content\">Hello World</p>",
+            "<form class=\"inlineedit-form\">",
+            "<input type=\"hidden\" name=\"token\" value=\"secret\">",
+            "<input class=\"inlineedit-interface\" name=\"title\">",
+            "</form>",
+            "</div>"
+        ].join(""));
+
+        document.body.appendChild(container);
+
+        var token = container.querySelector("[name=token]");
+        var instance = new InlineEdit({
+            container: container,
+            submitForm: function (val, done) {
+                expect(val).to.equal("Foo Bar Baz");
+                expect(token.value).to.equal("secret");
+                done();
+            }
+        });
+
+        instance.on("saved", function () {
+            release(instance);
+            done();
+        });
+
+        trigger(instance.element, "click");
+        expect(instance.interface.value).to.equal("Hello World");
+        expect(token.value).to.equal("secret");
+
+        instance.interface.value = "Foo Bar Baz";
+        trigger(instance.form, "submit");
+    });
+
+    it("should leave the container in place when destroyed", function () {
+        var instance = adopt();
+        var container = instance.container;
+
+        trigger(instance.element, "click");
+        instance.destroy();
+
+        expect(container.parentNode).to.equal(document.body);
+        expect(container.className).to.equal("server");
+        expect(instance.element.hasAttribute("hidden")).to.be(false);
+        expect(instance.form.hasAttribute("hidden")).to.be(true);
+        expect(container.querySelector(".inlineedit-status")).to.be(null);
+        document.body.removeChild(container);
+    });
+});
+
+describe("InlineEdit.setMessages(messages)", function () {
+    afterEach(function () {
+        InlineEdit.setMessages({ submit: "Submit", saved: "Saved" });
+    });
+
+    it("should change the default messages", function () {
+        InlineEdit.setMessages({ submit: "Enviar" });
+
+        var instance = createInstance();
+        var button = instance.form.querySelector("[type=submit]");
+        expect(text(button)).to.equal("Enviar");
+        expect(instance.message("saved")).to.equal("Saved");
+        destroyInstance(instance);
+    });
+
+    it("should not override an instance's messages", function () {
+        InlineEdit.setMessages({ saved: "Guardado" });
+
+        var instance = createInstance({ messages: { saved: "Gespeichert" } });
+        expect(instance.message("saved")).to.equal("Gespeichert");
+        destroyInstance(instance);
+    });
+
+    it("should apply to subclasses", function () {
+        InlineEdit.setMessages({ saved: "Guardado" });
+
+        var instance = createInstance({ Ctor: InlineEdit.Textarea });
+        expect(instance.message("saved")).to.equal("Guardado");
+        destroyInstance(instance);
+    });
+});
+
+describe("InlineEdit.group(options)", function () {
+    it("should return a new group", function () {
+        var a = InlineEdit.group();
+        var b = InlineEdit.group();
+
+        expect(a).to.be.ok();
+        expect(a).to.not.equal(b);
+        expect(a.policy).to.equal("cancel");
+    });
+
+    it("should add instances that use the group option", function () {
+        var group = InlineEdit.group();
+        var instance = createInstance({ group: group });
+
+        expect(group.has(instance)).to.be(true);
+        destroyInstance(instance);
+        expect(group.has(instance)).to.be(false);
+    });
+
+    it("should cancel the other instance when another starts editing", function () {
+        var group = InlineEdit.group();
+        var a = createInstance({ group: group });
+        var b = createInstance({ group: group });
+
+        trigger(a.element, "click");
+        trigger(b.element, "click");
+
+        expect(a.state).to.equal("ready");
+        expect(b.state).to.equal("editing");
+
+        destroyInstance(a);
+        destroyInstance(b);
+    });
+
+    it("should submit the other instance when the policy is 'submit'", function () {
+        var group = InlineEdit.group({ policy: "submit" });
+        var a = createInstance({
+            group: group,
+            submitForm: function () {}
+        });
+        var b = createInstance({ group: group });
+
+        trigger(a.element, "click");
+        a.form.elements[0].value = "Foo Bar Baz";
+        trigger(b.element, "click");
+
+        expect(a.state).to.equal("saving");
+        expect(b.state).to.equal("editing");
+
+        destroyInstance(a);
+        destroyInstance(b);
+    });
+
+    it("should release an instance resolving a conflict", function () {
+        var group = InlineEdit.group();
+        var a = createInstance({
+            group: group,
+            element: domify("<div data-version=\"1\">Hello World</div>"),
+            submitForm: function (val, done) {
+                var err = new Error("conflict");
+                err.conflict = true;
+                err.value = "Theirs";
+                err.version = "2";
+                done(err);
+            }
+        });
+        var b = createInstance({ group: group });
+
+        trigger(a.element, "click");
+        a.form.elements[0].value = "Mine";
+        trigger(a.form, "submit");
+        expect(group.active()).to.equal(a);
+
+        trigger(b.element, "click");
+        expect(a.state).to.equal("ready");
+        expect(text(a.element)).to.equal("Theirs");
+        expect(group.active()).to.equal(b);
+
+        destroyInstance(a);
+        destroyInstance(b);
+    });
+
+    describe("#active()", function () {
+        it("should return the instance currently editing", function () {
+            var group = InlineEdit.group();
+            var a = createInstance({ group: group });
+            var b = createInstance({ group: group });
+
+            expect(group.active()).to.be(null);
+            trigger(b.element, "click");
+            expect(group.active()).to.equal(b);
+
+            destroyInstance(a);
+            destroyInstance(b);
+        });
+    });
+
+    describe("#remove(instance)", function () {
+        it("should stop coordinating the instance", function () {
+            var group = InlineEdit.group();
+            var a = createInstance({ group: group });
+            var b = createInstance({ group: group });
+
+            group.remove(a);
+            trigger(a.element, "click");
+            trigger(b.element, "click");
+
+            expect(a.state).to.equal("editing");
+
+            destroyInstance(a);
+            destroyInstance(b);
+        });
+    });
+
+    describe("#destroyAll()", function () {
+        it("should destroy every instance", function () {
+            var group = InlineEdit.group();
+            var a = createInstance({ group: group });
+            var b = createInstance({ group: group });
+
+            group.destroyAll();
+
+            expect(group.instances).to.have.length(0);
+            expect(a.element.parentNode).to.equal(document.body);
+            expect(b.element.parentNode).to.equal(document.body);
+
+            document.body.removeChild(a.element);
+            document.body.removeChild(b.element);
+        });
+    });
+});
+
+describe("InlineEdit.delegate(root, selector, options)", function () {
+    var root;
+
+    beforeEach(function () {
+        root = domify("<div><span class=\"editable\">Hello</span><span class=\"editable\" data-placeholder=\"n/a\" data-optimistic=\"true\">n/a</span></div>");
+        document.body.appendChild(root);
+    });
+
+    afterEach(function () {
+        document.body.removeChild(root);
+    });
+
+    it("should not create any instances up front", function () {
+        var delegate = InlineEdit.delegate(root, ".editable");
+
+        expect(delegate.instances).to.have.length(0);
+        delegate.destroy();
+    });
+
+    it("should create an instance and start editing on click", function () {
+        var delegate = InlineEdit.delegate(root, ".editable");
+        var el = root.querySelector(".editable");
+
+        trigger(el, "click");
+
+        var instance = delegate.find(el);
+        expect(instance).to.be.an(InlineEdit);
+        expect(instance.state).to.equal("editing");
+        delegate.destroy();
+    });
+
+    it("should create an instance on Enter", function () {
+        var delegate = InlineEdit.delegate(root, ".editable");
+        var el = root.querySelector(".editable");
+        var e = keyEvent(13);
+        e.delegateTarget = el;
+
+        delegate.onkeydown(e);
+
+        expect(delegate.find(el).state).to.equal("editing");
+        delegate.destroy();
+    });
+
+    it("should only create 1 instance per element", function () {
+        var delegate = InlineEdit.delegate(root, ".editable");
+        var el = root.querySelector(".editable");
+
+        trigger(el, "click");
+        delegate.find(el).handle("cancel");
+        trigger(el, "click");
+
+        expect(delegate.instances).to.have.length(1);
+        delegate.destroy();
+    });
+
+    it("should pass the options to each instance", function () {
+        var delegate = InlineEdit.delegate(root, ".editable", { blurAction: "cancel" });
+        var el = root.querySelector(".editable");
+
+        trigger(el, "click");
+
+        expect(delegate.find(el).blurAction).to.equal("cancel");
+        delegate.destroy();
+    });
+
+    it("should read settings from data attributes", function () {
+        var delegate = InlineEdit.delegate(root, ".editable", { placeholder: "none" });
+        var el = root.querySelectorAll(".editable")[1];
+
+        trigger(el, "click");
+
+        var instance = delegate.find(el);
+        expect(instance.placeholder).to.equal("n/a");
+        expect(instance.optimistic).to.be(true);
+        expect(instance.value).to.not.be.ok();
+        delegate.destroy();
+    });
+
+    it("should not read object options from data attributes", function () {
+        var delegate = InlineEdit.delegate(root, ".editable");
+        var el = root.querySelector(".editable");
+        el.setAttribute("data-group", "main");
+        el.setAttribute("data-queue", "main");
+
+        trigger(el, "click");
+
+        var instance = delegate.find(el);
+        expect(instance.group).to.be(null);
+        expect(instance.queue).to.be(null);
+        delegate.destroy();
+    });
+
+    it("should ignore data attributes that aren't allowed options", function () {
+        var delegate = InlineEdit.delegate(root, ".editable");
+        var el = root.querySelector(".editable");
+        el.setAttribute("data-interface-element", "<select></select>");
+        el.setAttribute("data-initial-state", "saving");
+        el.setAttribute("data-submit-timeout", "500");
+
+        trigger(el, "click");
+
+        var instance = delegate.find(el);
+        expect(instance.state).to.equal("editing");
+        expect(instance.interface.nodeName).to.equal("INPUT");
+        expect(instance.submitTimeout).to.equal(500);
+        delegate.destroy();
+    });
+
+    it("should handle elements added later", function () {
+        var delegate = InlineEdit.delegate(root, ".editable");
+        var el = domify("<span class=\"editable\">World</span>");
+        root.appendChild(el);
+
+        trigger(el, "click");
+
+        expect(delegate.find(el).value).to.equal("World");
+        delegate.destroy();
+    });
+
+    it("should use the constructor it was called on", function () {
+        var Custom = InlineEdit.extend({ placeholder: "custom" });
+        var delegate = Custom.delegate(root, ".editable");
+        var el = root.querySelector(".editable");
+
+        trigger(el, "click");
+
+        expect(delegate.find(el)).to.be.a(Custom);
+        delegate.destroy();
+    });
+
+    describe("#destroy()", function () {
+        it("should destroy every instance", function () {
+            var delegate = InlineEdit.delegate(root, ".editable");
+            var el = root.querySelector(".editable");
+
+            trigger(el, "click");
+            delegate.destroy();
+
+            expect(el.parentNode).to.equal(root);
+            expect(delegate.instances).to.have.length(0);
+        });
+
+        it("should skip instances that were already destroyed", function () {
+            var delegate = InlineEdit.delegate(root, ".editable");
+            var el = root.querySelector(".editable");
+
+            trigger(el, "click");
+            delegate.find(el).destroy();
+
+            expect(delegate.instances).to.have.length(0);
+            expect(function () {
+                delegate.destroy();
+            }).to.not.throwException();
+        });
+    });
+});
+
+describe("InlineEdit.Textarea", function () {
+    it("should be a subclass", function () {
+        expect(new InlineEdit.Textarea({ element: domify("<div></div>") })).to.be.an(InlineEdit);
+    });
+
+    it("should use a textarea", function () {
+        var instance = createInstance({ Ctor: InlineEdit.Textarea });
+        expect(instance.interface.tagName).to.equal("TEXTAREA");
+        destroyInstance(instance);
+    });
+});
+
+describe("InlineEdit.Number", function () {
+    var proto = InlineEdit.Number.prototype;
+
+    it("should use a number input", function () {
+        var instance = createInstance({ Ctor: InlineEdit.Number });
+        expect(instance.interface.type).to.equal("number");
+        destroyInstance(instance);
+    });
+
+    it("should parse a number", function () {
+        expect(proto.parseValue(domify("<div> 42.5 </div>"))).to.equal(42.5);
+    });
+
+    it("should parse the placeholder as null", function () {
+        var el = domify("<div>n/a</div>");
+        expect(proto.parseValue.call({ placeholder: "n/a" }, el)).to.be(null);
+    });
+
+    it("should format a number", function () {
+        var el = document.createElement("div");
+        proto.formatValue(42, el);
+        expect(text(el)).to.equal("42");
+    });
+
+    it("should format null as the placeholder", function () {
+        var el = document.createElement("div");
+        proto.formatValue.call({ placeholder: "n/a" }, null, el);
+        expect(text(el)).to.equal("n/a");
+    });
+
+    it("should process the form into a number", function () {
+        var form = domify("<form><input type=\"number\" value=\"3\"></form>");
+        expect(proto.processForm(form)).to.equal(3);
+    });
+
+    it("should process an empty form into null", function () {
+        var form = domify("<form><input type=\"number\"></form>");
+        expect(proto.processForm(form)).to.be(null);
+    });
+});
+
+describe("InlineEdit.Select", function () {
+    var choices = [
+        { value: 1, label: "One" },
+        { value: 2, label: "Two" }
+    ];
+
+    it("should use a select", function () {
+        var instance = createInstance({ Ctor: InlineEdit.Select });
+        expect(instance.interface.tagName).to.equal("SELECT");
+        destroyInstance(instance);
+    });
+
+    it("should parse the value of the matching label", function () {
+        var instance = createInstance({
+            Ctor: InlineEdit.Select,
+            element: domify("<div>Two</div>"),
+            choices: choices
+        });
+
+        expect(instance.value).to.equal(2);
+        destroyInstance(instance);
+    });
+
+    it("should populate the options and select the current value", function () {
+        var instance = createInstance({
+            Ctor: InlineEdit.Select,
+            element: domify("<div>Two</div>"),
+            initialState: "editing",
+            choices: choices
+        });
+
+        var select = instance.interface;
+        expect(select.options).to.have.length(2);
+        expect(select.options[select.selectedIndex].text).to.equal("Two");
+        destroyInstance(instance);
+    });
+
+    it("should add a placeholder option", function () {
+        var instance = createInstance({
+            Ctor: InlineEdit.Select,
+            element: domify("<div>n/a</div>"),
+            initialState: "editing",
+            placeholder: "n/a",
+            choices: choices
+        });
+
+        var select = instance.interface;
+        expect(select.options).to.have.length(3);
+        expect(select.value).to.equal("");
+        destroyInstance(instance);
+    });
+
+    it("should support a function for the choices", function () {
+        var instance = createInstance({
+            Ctor: InlineEdit.Select,
+            initialState: "editing",
+            choices: function () {
+                return ["a", "b", "c"];
+            }
+        });
+
+        expect(instance.interface.options).to.have.length(3);
+        destroyInstance(instance);
+    });
+
+    it("should save the typed value and format it's label", function (done) {
+        var instance = createInstance({
+            Ctor: InlineEdit.Select,
+            element: domify("<div>One</div>"),
+            initialState: "editing",
+            choices: choices
+        });
+
+        instance.interface.selectedIndex = 1;
+        trigger(instance.form, "submit");
+
+        nextTick(function () {
+            expect(instance.value).to.equal(2);
+            expect(text(instance.element)).to.equal("Two");
+            destroyInstance(instance);
+            done();
+        });
+    });
+});
+
+describe("InlineEdit.Checkbox", function () {
+    var proto = InlineEdit.Checkbox.prototype;
+
+    it("should use a checkbox", function () {
+        var instance = createInstance({ Ctor: InlineEdit.Checkbox });
+        expect(instance.interface.type).to.equal("checkbox");
+        destroyInstance(instance);
+    });
+
+    it("should parse a boolean", function () {
+        expect(proto.parseValue.call(proto, domify("<div>Yes</div>"))).to.be(true);
+        expect(proto.parseValue.call(proto, domify("<div>No</div>"))).to.be(false);
+    });
+
+    it("should format a boolean", function () {
+        var el = document.createElement("div");
+        proto.formatValue.call(proto, true, el);
+        expect(text(el)).to.equal("Yes");
+    });
+
+    it("should use the yes/no messages", function () {
+        var instance = createInstance({
+            Ctor: InlineEdit.Checkbox,
+            element: domify("<div>Ja</div>"),
+            messages: { yes: "Ja", no: "Nein" }
+        });
+
+        expect(instance.value).to.be(true);
+        instance.formatValue(false, instance.element);
+        expect(text(instance.element)).to.equal("Nein");
+        destroyInstance(instance);
+    });
+
+    it("should populate and process the checkbox", function () {
+        var form = domify("<form><input type=\"checkbox\"></form>");
+
+        proto.populateForm(true, form);
+        expect(form.elements[0].checked).to.be(true);
+        expect(proto.processForm(form)).to.be(true);
+    });
+});
+
+describe("InlineEdit.Date", function () {
+    var proto = InlineEdit.Date.prototype;
+
+    it("should use a date input", function () {
+        var instance = createInstance({ Ctor: InlineEdit.Date });
+        expect(instance.interface.getAttribute("type")).to.equal("date");
+        destroyInstance(instance);
+    });
+
+    it("should parse a date", function () {
+        var date = proto.parseValue(domify("<div>2014-03-16</div>"));
+        expect(date).to.be.a(Date);
+        expect(date.getTime()).to.equal(Date.UTC(2014, 2, 16));
+    });
+
+    it("should prefer the datetime attribute", function () {
+        var date = proto.parseValue(domify("<time datetime=\"2014-03-16\">March 16th</time>"));
+        expect(date.getTime()).to.equal(Date.UTC(2014, 2, 16));
+    });
+
+    it("should parse the placeholder as null", function () {
+        var el = domify("<div>n/a</div>");
+        expect(proto.parseValue.call({ placeholder: "n/a" }, el)).to.be(null);
+    });
+
+    it("should format a date", function () {
+        var el = domify("<time datetime=\"\"></time>");
+        proto.formatValue(new Date(Date.UTC(2014, 2, 16)), el);
+        expect(text(el)).to.equal("2014-03-16");
+        expect(el.getAttribute("datetime")).to.equal("2014-03-16");
+    });
+
+    it("should process the form into a date", function () {
+        var form = domify("<form><input value=\"2014-03-16\"></form>");
+        expect(proto.processForm(form).getTime()).to.equal(Date.UTC(2014, 2, 16));
+    });
+});
+
+describe("InlineEdit.Fields", function () {
+    var content = "<div><span data-field=\"name\">Dominic</span> (<span data-field=\"address[city]\">n/a</span>)</div>";
+    var fields = "<fieldset>" +
+        "<input name=\"name\">" +
+        "<input name=\"address[city]\">" +
+        "<input type=\"checkbox\" name=\"admin\">" +
+        "<input type=\"checkbox\" name=\"tags\" value=\"a\">" +
+        "<input type=\"checkbox\" name=\"tags\" value=\"b\">" +
+        "<select name=\"roles[]\" multiple><option>x</option><option>y</option></select>" +
+        "<input type=\"radio\" name=\"size\" value=\"s\">" +
+        "<input type=\"radio\" name=\"size\" value=\"m\">" +
+        "</fieldset>";
+
+    function create(o) {
+        if (!o) o = {};
+        o.Ctor = InlineEdit.Fields;
+        o.element = domify(content);
+        o.interfaceElement = fields;
+        o.placeholder = "n/a";
+        return createInstance(o);
+    }
+
+    it("should parse the data-field elements into an object", function () {
+        var instance = create();
+
+        expect(instance.value).to.eql({
+            name: "Dominic",
+            address: { city: null }
+        });
+
+        destroyInstance(instance);
+    });
+
+    it("should populate the inputs by name", function () {
+        var instance = create({ initialState: "editing" });
+        var form = instance.form;
+
+        expect(form.elements.name.value).to.equal("Dominic");
+        expect(form.elements["address[city]"].value).to.equal("");
+        destroyInstance(instance);
+    });
+
+    it("should populate checkboxes, multiple selects and radios", function () {
+        var instance = create();
+        var form = instance.form;
+
+        instance.value = { admin: true, tags: [ "b" ], roles: [ "y" ], size: "m" };
+        instance.transition("editing");
+
+        expect(form.elements.admin.checked).to.be(true);
+        expect(form.elements.tags[0].checked).to.be(false);
+        expect(form.elements.tags[1].checked).to.be(true);
+        expect(form.elements["roles[]"].options[1].selected).to.be(true);
+        expect(form.elements.size[1].checked).to.be(true);
+        destroyInstance(instance);
+    });
+
+    it("should collect the inputs into an object", function () {
+        var instance = create({ initialState: "editing" });
+        var form = instance.form;
+
+        form.elements.name.value = "Dom";
+        form.elements["address[city]"].value = "Phoenix";
+        form.elements.tags[0].checked = true;
+        form.elements["roles[]"].options[0].selected = true;
+        form.elements.size[0].checked = true;
+
+        expect(instance.processForm(form)).to.eql({
+            name: "Dom",
+            address: { city: "Phoenix" },
+            admin: false,
+            tags: [ "a" ],
+            roles: [ "x" ],
+            size: "s"
+        });
+
+        destroyInstance(instance);
+    });
+
+    it("should focus the first named field", function () {
+        var instance = create({ initialState: "editing" });
+
+        expect(document.activeElement).to.equal(instance.form.elements.name);
+        destroyInstance(instance);
+    });
+
+    it("should not submit when the form is left untouched", function () {
+        var instance = create({
+            initialState: "editing",
+            submitForm: function () {
+                throw new Error("should not submit");
+            }
+        });
+
+        trigger(instance.form, "submit");
+
+        expect(instance.state).to.equal("ready");
+        destroyInstance(instance);
+    });
+
+    it("should not consult confirmDiscard when the form is left untouched", function () {
+        var instance = create({
+            initialState: "editing",
+            confirmDiscard: function () {
+                return false;
+            }
+        });
+
+        instance.handle("cancel");
+
+        expect(instance.state).to.equal("ready");
+        destroyInstance(instance);
+    });
+
+    it("should treat parsed text like the values it was rendered from", function () {
+        var instance = create();
+        var form = instance.form;
+
+        instance.value = { admin: "true", tags: "a, b", size: "m" };
+        instance.transition("editing");
+
+        expect(form.elements.admin.checked).to.be(true);
+        expect(form.elements.tags[0].checked).to.be(true);
+        expect(form.elements.tags[1].checked).to.be(true);
+        expect(instance.isEqual(instance.processForm(form), instance.value)).to.be(true);
+
+        form.elements.admin.checked = false;
+        expect(instance.isEqual(instance.processForm(form), instance.value)).to.be(false);
+        destroyInstance(instance);
+    });
+
+    it("should render the saved object into the data-field elements", function (done) {
+        var instance = create({ initialState: "editing" });
+
+        instance.form.elements["address[city]"].value = "Phoenix";
+        trigger(instance.form, "submit");
+
+        nextTick(function () {
+            expect(text(instance.element)).to.equal("Dominic (Phoenix)");
+            destroyInstance(instance);
+            done();
+        });
+    });
+});
+
+describe("InlineEdit.sanitize(html, [tags])", function () {
+    var sanitize = InlineEdit.sanitize;
+
+    it("should keep allowed tags and attributes", function () {
+        var html = "<p>Hello <a href=\"http://example.com\" title=\"x\">World</a></p>";
+        expect(sanitize(html)).to.equal(html);
+    });
+
+    it("should unwrap tags that are not allowed", function () {
+        expect(sanitize("<div><span>Hello</span> <b>World</b></div>"))
+            .to.equal("Hello <b>World</b>");
+    });
+
+    it("should remove attributes that are not allowed", function () {
+        expect(sanitize("<b onclick=\"alert(1)\" class=\"x\">Hi</b>"))
+            .to.equal("<b>Hi</b>");
+    });
+
+    it("should remove scripts and styles entirely", function () {
+        expect(sanitize("Hi<script>alert(1)</script><style>b{}</style>"))
+            .to.equal("Hi");
+    });
+
+    it("should remove unsafe URLs", function () {
+        expect(sanitize("<a href=\"javascript:alert(1)\">Hi</a>"))
+            .to.equal("<a>Hi</a>");
+        expect(sanitize("<a href=\" java\tscript:alert(1)\">Hi</a>"))
+            .to.equal("<a>Hi</a>");
+        expect(sanitize("<a href=\"/about\">Hi</a>"))
+            .to.equal("<a href=\"/about\">Hi</a>");
+    });
+
+    it("should accept a custom allowlist", function () {
+        expect(sanitize("<b>Hello</b> <i>World</i>", { i: [] }))
+            .to.equal("Hello <i>World</i>");
+    });
+});
+
+describe("InlineEdit.RichText", function () {
+    var html = "Hello <a href=\"/world\">World</a>";
+
+    function createRichText(o) {
+        if (!o) o = {};
+        o.Ctor = InlineEdit.RichText;
+        o.element = o.element || domify("<div>" + html + "</div>");
+        return createInstance(o);
+    }
+
+    it("should parse the HTML of the element", function () {
+        var instance = createRichText();
+        expect(instance.value).to.equal(html);
+        destroyInstance(instance);
+    });
+
+    it("should sanitize the HTML of the element", function () {
+        var instance = createRichText({
+            element: domify("<div>Hello <b onclick=\"x()\">World</b></div>")
+        });
+
+        expect(instance.value).to.equal("Hello <b>World</b>");
+        destroyInstance(instance);
+    });
+
+    it("should treat the placeholder as empty", function () {
+        var instance = createRichText({
+            placeholder: "n/a",
+            element: domify("<div>n/a</div>")
+        });
+
+        expect(instance.value).to.be(null);
+        instance.formatValue(null, instance.element);
+        expect(instance.element.innerHTML).to.equal("n/a");
+        destroyInstance(instance);
+    });
+
+    it("should edit via a contenteditable editor", function () {
+        var instance = createRichText();
+        var editor = instance.form.querySelector(".inlineedit-editor");
+
+        trigger(instance.element, "click");
+        expect(editor.getAttribute("contenteditable")).to.equal("true");
+        expect(editor.innerHTML).to.equal(html);
+        destroyInstance(instance);
+    });
+
+    it("should submit sanitized HTML", function (done) {
+        var instance = createRichText({
+            submitForm: function (val, done) {
+                expect(val).to.equal("<b>Bold</b> move");
+                done();
+            }
+        });
+
+        instance.on("saved", function () {
+            nextTick(function () {
+                expect(instance.element.innerHTML).to.equal("<b>Bold</b> move");
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        trigger(instance.element, "click");
+        instance.form.querySelector(".inlineedit-editor").innerHTML =
+            "<b>Bold</b> <img src=\"x\" onerror=\"alert(1)\">move";
+        trigger(instance.form, "submit");
+    });
+
+    it("should describe the editor with a failed submit", function () {
+        var instance = createRichText({
+            submitForm: function (val, done) {
+                done(new Error("testing"));
+            }
+        });
+
+        trigger(instance.element, "click");
+        instance.form.querySelector(".inlineedit-editor").innerHTML = "Bye";
+        trigger(instance.form, "submit");
+
+        var editor = instance.form.querySelector(".inlineedit-editor");
+        var bold = instance.form.querySelector("[value=bold]");
+        expect(instance.getInput(instance.form)).to.equal(editor);
+        expect(editor.getAttribute("aria-describedby"))
+            .to.equal(instance.error.id);
+        expect(bold.hasAttribute("aria-describedby")).to.be(false);
+        destroyInstance(instance);
+    });
+
+    it("should process an empty editor as an empty string", function () {
+        var instance = createRichText();
+
+        trigger(instance.element, "click");
+        instance.form.querySelector(".inlineedit-editor").innerHTML = "<br>";
+        expect(instance.processForm(instance.form)).to.equal("");
+        destroyInstance(instance);
+    });
+
+    it("should run the toolbar commands", function () {
+        var original = document.execCommand;
+        var commands = [];
+        var instance = createRichText({
+            promptLink: function () {
+                return "http://example.com";
+            }
+        });
+
+        document.execCommand = function (name, ui, arg) {
+            commands.push([ name, arg ]);
+            return true;
+        };
+
+        trigger(instance.element, "click");
+        [ "bold", "italic", "link", "list" ].forEach(function (name) {
+            var button = instance.form.querySelector("[value=" + name + "]");
+            trigger(button, "click");
+        });
+
+        document.execCommand = original;
+
+        expect(commands).to.eql([
+            [ "bold", null ],
+            [ "italic", null ],
+            [ "createLink", "http://example.com" ],
+            [ "insertUnorderedList", null ]
+        ]);
+        destroyInstance(instance);
+    });
+
+    it("should label the toolbar buttons", function () {
+        var instance = createRichText();
+        var button = instance.form.querySelector("[value=list]");
+
+        expect(button.getAttribute("aria-label")).to.equal("Bulleted list");
+        destroyInstance(instance);
+    });
+});
+
+describe("InlineEdit.markdown(src)", function () {
+    var markdown = InlineEdit.markdown;
+
+    it("should render headings and paragraphs", function () {
+        expect(markdown("# Hello\n\nWorld\nagain\n\nTitle\n---"))
+            .to.equal("<h1>Hello</h1>\n<p>World\nagain</p>\n<h2>Title</h2>");
+    });
+
+    it("should render emphasis and code spans", function () {
+        expect(markdown("*a* **b** _c_ `d*e*` snake_case"))
+            .to.equal("<p><em>a</em> <strong>b</strong> <em>c</em> " +
+                "<code>d*e*</code> snake_case</p>");
+    });
+
+    it("should render links and images", function () {
+        expect(markdown("[a](/b \"c\") ![d](/e.png) <http://f.com>"))
+            .to.equal("<p><a href=\"/b\" title=\"c\">a</a> " +
+                "<img src=\"/e.png\" alt=\"d\"> " +
+                "<a href=\"http://f.com\">http://f.com</a></p>");
+    });
+
+    it("should render tight and nested lists", function () {
+        expect(markdown("- a\n- b\n  1. c\n  2. d"))
+            .to.equal("<ul>\n<li>a</li>\n<li>b\n<ol>\n<li>c</li>\n" +
+                "<li>d</li>\n</ol></li>\n</ul>");
+    });
+
+    it("should render loose lists", function () {
+        expect(markdown("3. a\n\n4. b"))
+            .to.equal("<ol start=\"3\">\n<li><p>a</p></li>\n" +
+                "<li><p>b</p></li>\n</ol>");
+    });
+
+    it("should render blockquotes, code blocks and breaks", function () {
+        expect(markdown("> quote\n\n```\na < b\n```\n***"))
+            .to.equal("<blockquote>\n<p>quote</p>\n</blockquote>\n" +
+                "<pre><code>a &lt; b\n</code></pre>\n<hr>");
+    });
+
+    it("should escape HTML and backslash escapes", function () {
+        expect(markdown("<b>Hi</b> \\*there\\*"))
+            .to.equal("<p>&lt;b&gt;Hi&lt;/b&gt; *there*</p>");
+    });
+});
+
+describe("InlineEdit.Markdown", function () {
+    var source = "Hello **World**";
+
+    function createMarkdown(o) {
+        if (!o) o = {};
+        o.Ctor = InlineEdit.Markdown;
+        o.element = o.element ||
+            domify("<div data-source=\"" + source + "\"></div>");
+        return createInstance(o);
+    }
+
+    it("should use the data-source attribute as the value", function () {
+        var instance = createMarkdown();
+        expect(instance.value).to.equal(source);
+        destroyInstance(instance);
+    });
+
+    it("should fall back to the text of the element", function () {
+        var instance = createMarkdown({
+            element: domify("<div>Hello *World*</div>")
+        });
+
+        expect(instance.value).to.equal("Hello *World*");
+        expect(instance.element.getAttribute("data-source"))
+            .to.equal("Hello *World*");
+        destroyInstance(instance);
+    });
+
+    it("should render the source into the element", function () {
+        var instance = createMarkdown();
+
+        expect(instance.element.innerHTML)
+            .to.equal("<p>Hello <strong>World</strong></p>");
+        destroyInstance(instance);
+    });
+
+    it("should edit the source with a preview", function () {
+        var instance = createMarkdown();
+        var preview = instance.form.querySelector(".inlineedit-preview");
+
+        trigger(instance.element, "click");
+        expect(instance.interface.querySelector("textarea").value)
+            .to.equal(source);
+        expect(preview.innerHTML)
+            .to.equal("<p>Hello <strong>World</strong></p>");
+        destroyInstance(instance);
+    });
+
+    it("should update the preview while typing", function () {
+        var instance = createMarkdown();
+        var preview = instance.form.querySelector(".inlineedit-preview");
+        var textarea = instance.form.querySelector("textarea");
+
+        trigger(instance.element, "click");
+        textarea.value = "# Hi";
+        trigger(textarea, "input");
+        expect(preview.innerHTML).to.equal("<h1>Hi</h1>");
+        destroyInstance(instance);
+    });
+
+    it("should submit the source and render it", function (done) {
+        var instance = createMarkdown({
+            submitForm: function (val, done) {
+                expect(val).to.equal("_Bye_");
+                done();
+            }
+        });
+
+        instance.on("saved", function () {
+            nextTick(function () {
+                var el = instance.element;
+                expect(el.innerHTML).to.equal("<p><em>Bye</em></p>");
+                expect(el.getAttribute("data-source")).to.equal("_Bye_");
+                destroyInstance(instance);
+                done();
+            });
+        });
+
+        trigger(instance.element, "click");
+        instance.form.querySelector("textarea").value = "_Bye_";
+        trigger(instance.form, "submit");
+    });
+
+    it("should display the placeholder when empty", function () {
+        var instance = createMarkdown({
+            element: domify("<div data-source=\"\"></div>"),
+            placeholder: "Empty"
+        });
+
+        expect(instance.value).to.equal(null);
+        expect(text(instance.element)).to.equal("Empty");
+        expect(instance.element.hasAttribute("data-source")).to.equal(false);
+        destroyInstance(instance);
+    });
+
+    it("should render images", function () {
+        var instance = createMarkdown({
+            element: domify("<div>![Logo](/logo.png \"Home\") " +
+                "![Bad](javascript:x)</div>")
+        });
+
+        expect(instance.element.innerHTML).to.equal("<p>" +
+            "<img src=\"/logo.png\" alt=\"Logo\" title=\"Home\"> " +
+            "<img alt=\"Bad\"></p>");
+        destroyInstance(instance);
+    });
+
+    it("should allow a custom renderer", function () {
+        var instance = createMarkdown({
+            render: function (src) {
+                return "<p>" + src.toUpperCase() + "</p>";
+            }
+        });
+
+        expect(instance.element.innerHTML).to.equal("<p>HELLO **WORLD**</p>");
+        destroyInstance(instance);
+    });
+
+    it("should sanitize the rendered HTML", function () {
+        var instance = createMarkdown({
+            render: function () {
+                return "<a href=\"javascript:alert(1)\">Hi</a><script></script>";
+            }
+        });
+
+        expect(instance.element.innerHTML).to.equal("<a>Hi</a>");
+        destroyInstance(instance);
+    });
+});
+
 function createInstance(o) {
     if (!o)         o = {};
     if (!o.element) o.element = domify("<div>Hello World</div>");
 
+    var Ctor = o.Ctor || InlineEdit;
+    delete o.Ctor;
+
     document.body.appendChild(o.element);
-    return new InlineEdit(o);
+    return new Ctor(o);
 }
 
 function destroyInstance(instance) {
     instance.destroy();
     document.body.removeChild(instance.element);
 }
+
+function keyEvent(keyCode, o) {
+    if (!o) o = {};
+
+    o.keyCode = keyCode;
+    o.preventDefault = function () {};
+
+    return o;
+}
@@ -0,0 +1,549 @@
+/**
+ * Built-in subclasses for the most common types of fields. Each of these
+ * parses and formats typed values (rather than plain strings) and respects
+ * the `placeholder` property.
+ *
+ * @author Dominic Barnes <dominic@dbarnes.info>
+ */
+
+"use strict";
+
+// dependencies
+var empty = require("empty");
+var text = require("text");
+var trim = require("trim");
+var fields = require("./fields");
+var markdown = require("./markdown");
+var sanitize = require("./sanitize");
+
+/**
+ * Creates the subclasses of the given base constructor.
+ *
+ * @param {Function} InlineEdit
+ * @returns {Object}
+ */
+module.exports = function (InlineEdit) {
+    var base = InlineEdit.prototype;
+    var types = {};
+
+    /**
+     * Edits multi-line text via a <textarea>. (Ctrl+Enter submits)
+     */
+    types.Textarea = InlineEdit.extend({
+        interfaceElement: require("./textarea.html")
+    });
+
+    /**
+     * Edits a `Number` via <input type="number">. (empty is `null`)
+     */
+    types.Number = InlineEdit.extend({
+        interfaceElement: require("./number.html"),
+
+        parseValue: function (el) {
+            return toNumber(base.parseValue.call(this, el));
+        },
+
+        formatValue: function (val, el) {
+            base.formatValue.call(this, toString(val), el);
+        },
+
+        populateForm: function (val, form) {
+            base.populateForm.call(this, toString(val), form);
+        },
+
+        processForm: function (form) {
+            return toNumber(base.processForm.call(this, form));
+        }
+    });
+
+    /**
+     * Edits a value from a list of choices via a <select>.
+     */
+    types.Select = InlineEdit.extend({
+        interfaceElement: require("./select.html"),
+
+        /**
+         * The available choices, each either a plain value or an object with
+         * `value` and `label` properties. This can also be a function that
+         * returns the list. (which is run each time editing starts)
+         *
+         * @property {Array|Function}
+         */
+        choices: [],
+
+        parseValue: function (el) {
+            var label = base.parseValue.call(this, el);
+            var choice = findChoice(this.getChoices(), "label", label);
+            return choice ? choice.value : label;
+        },
+
+        formatValue: function (val, el) {
+            var choice = findChoice(this.getChoices(), "value", val);
+            var out = choice ? choice.label : toString(val);
+            base.formatValue.call(this, out, el);
+        },
+
+        populateForm: function (val, form) {
+            var select = this.getInput(form);
+            var list = this.renderedChoices = this.getChoices();
+
+            empty(select);
+            if (this.placeholder) addOption(select, "", this.placeholder);
+
+            list.forEach(function (choice, x) {
+                addOption(select, x, choice.label);
+                if (choice.value === val) select.value = String(x);
+            });
+
+            if (val === null || typeof val === "undefined") select.value = "";
+            select.focus();
+        },
+
+        processForm: function (form) {
+            var list = this.renderedChoices || [];
+            var choice = list[this.getInput(form).value];
+            return choice ? choice.value : null;
+        },
+
+        /**
+         * Retrieves the choices, normalized into objects.
+         *
+         * @returns {Array}
+         */
+        getChoices: function () {
+            var list = this.choices;
+            if (typeof list === "function") list = list.call(this);
+            return list.map(normalizeChoice);
+        }
+    });
+
+    /**
+     * Edits a `Boolean` via <input type="checkbox">.
+     */
+    types.Checkbox = InlineEdit.extend({
+        interfaceElement: require("./checkbox.html"),
+
+        /**
+         * The text displayed for `true`. (defaults to the "yes" message)
+         *
+         * @property {String}
+         */
+        checkedLabel: null,
+
+        /**
+         * The text displayed for `false`. (defaults to the "no" message)
+         *
+         * @property {String}
+         */
+        uncheckedLabel: null,
+
+        parseValue: function (el) {
+            var val = base.parseValue.call(this, el);
+            return val === null ? null : val === this.getLabel(true);
+        },
+
+        formatValue: function (val, el) {
+            var out = this.getLabel(val);
+            if (val === null || typeof val === "undefined") out = "";
+            base.formatValue.call(this, out, el);
+        },
+
+        populateForm: function (val, form) {
+            var input = this.getInput(form);
+            input.checked = !!val;
+            input.focus();
+        },
+
+        processForm: function (form) {
+            return this.getInput(form).checked;
+        },
+
+        /**
+         * Retrieves the text displayed for the value.
+         *
+         * @param {Boolean} val
+         * @returns {String}
+         */
+        getLabel: function (val) {
+            if (val) return this.checkedLabel || this.message("yes");
+            return this.uncheckedLabel || this.message("no");
+        }
+    });
+
+    /**
+     * Edits a `Date` via <input type="date">. Values are displayed as
+     * "YYYY-MM-DD", and a <time> element's `datetime` attribute is used
+     * (and kept up-to-date) when available.
+     */
+    types.Date = InlineEdit.extend({
+        interfaceElement: require("./date.html"),
+
+        parseValue: function (el) {
+            var attr = el.getAttribute("datetime");
+            return toDate(attr || base.parseValue.call(this, el));
+        },
+
+        formatValue: function (val, el) {
+            var out = fromDate(val);
+            if (el.hasAttribute("datetime")) el.setAttribute("datetime", out);
+            base.formatValue.call(this, out, el);
+        },
+
+        populateForm: function (val, form) {
+            base.populateForm.call(this, fromDate(val), form);
+        },
+
+        processForm: function (form) {
+            return toDate(base.processForm.call(this, form));
+        },
+
+        serialize: function (val) {
+            return fromDate(val) || null;
+        },
+
+        deserialize: function (val) {
+            return toDate(val);
+        }
+    });
+
+    /**
+     * Edits an object made up of several fields. Each key maps to a named
+     * input in the form (see interfaceElement) and a `[data-field]` element
+     * within the content element. (see fields.js for naming conventions)
+     */
+    types.Fields = InlineEdit.extend({
+        parseValue: function (el) {
+            return fields.parse(el, this.placeholder);
+        },
+
+        formatValue: function (val, el) {
+            fields.format(val, el, this.placeholder);
+        },
+
+        getInput: function (form) {
+            return fields.first(form);
+        },
+
+        populateForm: function (val, form) {
+            fields.populate(form, val);
+            var input = this.getInput(form);
+            if (input) input.focus();
+        },
+
+        processForm: function (form) {
+            return fields.serialize(form);
+        },
+
+        isEqual: function (a, b) {
+            if (!this.form) return base.isEqual(a, b);
+            return fields.equal(this.form, a, b);
+        }
+    });
+
+    /**
+     * Edits HTML (such as links, bold and lists) via a contenteditable editor
+     * with a small toolbar. Everything read from and written to the DOM goes
+     * through `sanitize`.
+     */
+    types.RichText = InlineEdit.extend({
+        interfaceElement: require("./richtext.html"),
+
+        /**
+         * The tags (and their attributes) allowed by the default sanitizer.
+         * (see sanitize.js)
+         *
+         * @property {Object}
+         */
+        allowedTags: sanitize.tags,
+
+        /**
+         * Cleans untrusted HTML. Override this to use a different sanitizer.
+         *
+         * @param {String} html
+         * @returns {String}
+         */
+        sanitize: function (html) {
+            return sanitize(html, this.allowedTags);
+        },
+
+        parseValue: function (el) {
+            var plain = trim(text(el));
+            if (!plain || plain === this.placeholder) return null;
+            return trim(this.sanitize(el.innerHTML));
+        },
+
+        formatValue: function (val, el) {
+            if (val) {
+                el.innerHTML = this.sanitize(val);
+            } else {
+                text(el, this.placeholder || "");
+            }
+        },
+
+        populateForm: function (val, form) {
+            var editor = this.getInput(form);
+            editor.innerHTML = this.sanitize(val || "");
+            editor.focus();
+        },
+
+        processForm: function (form) {
+            var editor = this.getInput(form);
+            if (!trim(text(editor))) return "";
+            return trim(this.sanitize(editor.innerHTML));
+        },
+
+        /**
+         * The editor is a contenteditable element rather than a form control.
+         */
+        getInput: function (form) {
+            return form.querySelector(".inlineedit-editor");
+        },
+
+        bind: function () {
+            base.bind.call(this);
+            this.events.bind("click .inlineedit-toolbar button", "onToolbar");
+        },
+
+        /**
+         * Applies the toolbar button's command. (see execute)
+         *
+         * @param {MouseEvent} e
+         */
+        onToolbar: function (e) {
+            e.preventDefault();
+            this.execute(e.delegateTarget.value);
+        },
+
+        /**
+         * Formats the selection within the editor. The commands are "bold",
+         * "italic", "link" (see promptLink) and "list".
+         *
+         * @param {String} command
+         */
+        execute: function (command) {
+            var editor = this.getInput(this.form);
+            var url;
+
+            editor.focus();
+
+            if (command === "link") {
+                url = this.promptLink();
+                if (url) document.execCommand("createLink", false, url);
+            } else if (command === "list") {
+                document.execCommand("insertUnorderedList", false, null);
+            } else {
+                document.execCommand(command, false, null);
+            }
+        },
+
+        /**
+         * Asks the user for the address of a new link. (the default uses
+         * window.prompt)
+         *
+         * @returns {String}
+         */
+        promptLink: function () {
+            return window.prompt(this.message("linkPrompt"), "https://");
+        }
+    });
+
+    /**
+     * Edits Markdown source via a <textarea>, with a live preview. The value
+     * is the source, which is kept in the content element's `data-source`
+     * attribute while the element itself displays the rendered HTML.
+     */
+    types.Markdown = InlineEdit.extend({
+        interfaceElement: require("./markdown.html"),
+
+        /**
+         * The tags (and their attributes) allowed in the rendered HTML. This
+         * is the default allowlist plus images. (see sanitize.js)
+         *
+         * @property {Object}
+         */
+        allowedTags: withImages(sanitize.tags),
+
+        /**
+         * Cleans the rendered HTML. Override this to use a different
+         * sanitizer.
+         *
+         * @param {String} html
+         * @returns {String}
+         */
+        sanitize: function (html) {
+            return sanitize(html, this.allowedTags);
+        },
+
+        /**
+         * Converts the Markdown source into HTML. Override this to use a
+         * different renderer. (the output is always sanitized afterwards)
+         *
+         * @param {String} src
+         * @returns {String}
+         */
+        render: function (src) {
+            return markdown(src);
+        },
+
+        /**
+         * Uses the `data-source` attribute when present, otherwise the text
+         * of the element is treated as the source.
+         */
+        parseValue: function (el) {
+            var src = el.getAttribute("data-source");
+            if (src === null) return base.parseValue.call(this, el);
+            return src || null;
+        },
+
+        formatValue: function (val, el) {
+            if (val) {
+                el.innerHTML = this.sanitize(this.render(val));
+                el.setAttribute("data-source", val);
+            } else {
+                text(el, this.placeholder || "");
+                el.removeAttribute("data-source");
+            }
+        },
+
+        populateForm: function (val, form) {
+            base.populateForm.call(this, val || "", form);
+            this.preview();
+        },
+
+        /**
+         * The content element usually starts out with the raw source, so it
+         * is rendered right away. (a model already does this)
+         */
+        connect: function () {
+            base.connect.call(this);
+            if (!this.model) this.formatValue(this.value, this.element);
+        },
+
+        bind: function () {
+            base.bind.call(this);
+            this.events.bind("input .inlineedit-source", "onSourceInput");
+        },
+
+        /**
+         * Keeps the preview up to date while typing.
+         */
+        onSourceInput: function () {
+            this.preview();
+        },
+
+        /**
+         * Renders the source in the form into the preview.
+         */
+        preview: function () {
+            var src = this.processForm(this.form);
+            var el = this.form.querySelector(".inlineedit-preview");
+            el.innerHTML = this.sanitize(this.render(src));
+        }
+    });
+
+    return types;
+};
+
+
+// private helpers
+
+/**
+ * Copies an allowlist of tags, adding <img> (with the `src` checked like any
+ * other URL) for the images that Markdown can contain.
+ *
+ * @param {Object} tags
+ * @returns {Object}
+ */
+function withImages(tags) {
+    var out = { img: [ "src", "alt", "title" ] };
+
+    Object.keys(tags).forEach(function (name) {
+        out[name] = tags[name];
+    });
+
+    return out;
+}
+
+/**
+ * Converts a string to a number. (empty or invalid input becomes null)
+ *
+ * @param {String} val
+ * @returns {Number}
+ */
+function toNumber(val) {
+    if (val === null || val === "") return null;
+    var num = Number(val);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * Converts any value to a string. (null and undefined become empty)
+ *
+ * @param {Mixed} val
+ * @returns {String}
+ */
+function toString(val) {
+    return val === null || typeof val === "undefined" ? "" : String(val);
+}
+
+/**
+ * Parses a "YYYY-MM-DD" string into a `Date`. (at midnight UTC)
+ *
+ * @param {String} val
+ * @returns {Date}
+ */
+function toDate(val) {
+    var m = /^(\d{4})-(\d{2})-(\d{2})/.exec(val || "");
+    if (!m) return null;
+    return new Date(Date.UTC(+m[1], m[2] - 1, +m[3]));
+}
+
+/**
+ * Formats a `Date` as a "YYYY-MM-DD" string. (invalid dates become empty)
+ *
+ * @param {Date} date
+ * @returns {String}
+ */
+function fromDate(date) {
+    if (!date || isNaN(date.getTime())) return "";
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Converts a choice to an object with `value` and `label` properties.
+ *
+ * @param {Mixed} choice
+ * @returns {Object}
+ */
+function normalizeChoice(choice) {
+    if (choice && typeof choice === "object") return choice;
+    return { value: choice, label: toString(choice) };
+}
+
+/**
+ * Finds the choice where `prop` matches `val`.
+ *
+ * @param {Array} list
+ * @param {String} prop
+ * @param {Mixed} val
+ * @returns {Object}
+ */
+function findChoice(list, prop, val) {
+    return list.filter(function (choice) {
+        return choice[prop] === val;
+    })[0];
+}
+
+/**
+ * Adds an <option> to the <select>.
+ *
+ * @param {HTMLSelectElement} select
+ * @param {String} value
+ * @param {String} label
+ */
+function addOption(select, value, label) {
+    var option = document.createElement("option");
+    option.value = String(value);
+    option.text = label;
+    select.appendChild(option);
+}